@@ -0,0 +1,39 @@
+// Wraps the OpenNext worker to add the Server-Timing header
+// See https://opennext.js.org/cloudflare/howtos/custom-worker
+import {
+  formatServerTiming,
+  serverTimingStore,
+  type ServerTimingEntry,
+} from "./src/lib/server-timing";
+import { default as handler } from "./.open-next/worker.js";
+
+export default {
+  async fetch(request, env, ctx) {
+    const entries: ServerTimingEntry[] = [];
+    const start = performance.now();
+    const response: Response = await serverTimingStore.run(entries, () =>
+      handler.fetch(request, env, ctx)
+    );
+    const total = performance.now() - start;
+
+    // Everything except the recorded page data phases is rendering
+    const data = entries.reduce((sum, entry) => sum + entry.duration, 0);
+    const headers = new Headers(response.headers);
+    headers.append(
+      "Server-Timing",
+      formatServerTiming([
+        ...entries,
+        ...(entries.length > 0
+          ? [{ name: "render", duration: Math.max(total - data, 0) }]
+          : []),
+        { name: "total", duration: total },
+      ])
+    );
+
+    return new Response(response.body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+    });
+  },
+} satisfies ExportedHandler<CloudflareEnv>;
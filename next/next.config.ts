@@ -1,7 +1,11 @@
 import type { NextConfig } from "next";
 
 const nextConfig: NextConfig = {
-  /* config options here */
+  // Inlined at build time like import.meta.env in the Vite apps, so the
+  // worker reaches the mock API without a runtime binding
+  env: process.env.API_BASE_URL
+    ? { API_BASE_URL: process.env.API_BASE_URL }
+    : {},
 };
 
 export default nextConfig;
@@ -0,0 +1,6 @@
+// `.open-next/worker.js` is generated by `opennextjs-cloudflare build`;
+// declared here so custom-worker.ts type-checks before the first build
+declare module "*/.open-next/worker.js" {
+  const handler: { fetch: ExportedHandlerFetchHandler<CloudflareEnv> };
+  export default handler;
+}
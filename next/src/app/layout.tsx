@@ -1,6 +1,7 @@
 import type { Metadata } from "next";
 import "./globals.css";
 import Link from "next/link";
+import { HydrationMark } from "@/lib/hydration-mark";
 
 export const metadata: Metadata = {
   title: "Next.js Router Performance Test",
@@ -66,11 +67,27 @@ export default function RootLayout({
               >
                 📝 Posts
               </Link>
+              <Link
+                href="/posts-deferred"
+                style={{
+                  color: "#ecf0f1",
+                  textDecoration: "none",
+                  padding: "8px 16px",
+                  borderRadius: "4px",
+                  border: "1px solid #34495e",
+                  backgroundColor: "#34495e",
+                  transition: "all 0.3s ease",
+                }}
+                className="nav-link"
+              >
+                ⏳ Posts (Deferred)
+              </Link>
             </div>
           </div>
         </nav>
 
         {children}
+        <HydrationMark />
       </body>
     </html>
   );
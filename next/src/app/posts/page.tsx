@@ -1,68 +1,16 @@
-interface Post {
-  id: number;
-  title: string;
-  body: string;
-  userId: number;
-}
-
-interface User {
-  id: number;
-  name: string;
-  email: string;
-  website: string;
-}
-
-interface Comment {
-  id: number;
-  postId: number;
-  name: string;
-  email: string;
-  body: string;
-}
-
-interface Album {
-  id: number;
-  userId: number;
-  title: string;
-}
-
-interface Photo {
-  id: number;
-  albumId: number;
-  title: string;
-  url: string;
-  thumbnailUrl: string;
-}
-
-interface Todo {
-  id: number;
-  userId: number;
-  title: string;
-  completed: boolean;
-}
-
-interface ProcessedDataItem {
-  postId: number;
-  postTitle: string;
-  postWordCount: number;
-  author: {
-    name: string;
-    email: string;
-    domain: string;
-    website: string;
-  } | null;
-  commentsAnalysis: {
-    total: number;
-    averageLength: number;
-    sentimentDistribution: Record<string, number>;
-    totalEngagement: number;
-  };
-  metadata: {
-    processed: boolean;
-    timestamp: number;
-    complexity: number;
-  };
-}
+import { connection } from "next/server";
+import { API_BASE_URL } from "@/lib/api";
+import {
+  type Post,
+  type User,
+  type Comment,
+  type Album,
+  type Photo,
+  type Todo,
+  type ProcessedDataItem,
+  processHeavyData,
+} from "@/lib/posts";
+import { recordServerTiming } from "@/lib/server-timing";
 
 interface LoaderData {
   posts: Post[];
@@ -80,106 +28,28 @@ interface LoaderData {
   };
 }
 
-// 重いデータ処理を行う関数
-function processHeavyData(
-  posts: Post[],
-  comments: Comment[],
-  users: User[]
-): ProcessedDataItem[] {
-  const processed: ProcessedDataItem[] = [];
-
-  // 複雑なデータ変換とフィルタリング
-  for (let i = 0; i < posts.length; i++) {
-    const post = posts[i];
-    const postComments = comments.filter((c) => c.postId === post.id);
-    const user = users.find((u) => u.id === post.userId);
-
-    // 重い計算処理をシミュレート
-    const wordCount = post.body.split(" ").length;
-    const commentStats = postComments.map((comment) => ({
-      id: comment.id,
-      wordCount: comment.body.split(" ").length,
-      sentiment:
-        comment.body.length % 3 === 0
-          ? "positive"
-          : comment.body.length % 3 === 1
-          ? "neutral"
-          : "negative",
-      engagement: Math.random() * 100,
-    }));
-
-    // 複雑なオブジェクト作成
-    processed.push({
-      postId: post.id,
-      postTitle: post.title,
-      postWordCount: wordCount,
-      author: user
-        ? {
-            name: user.name,
-            email: user.email,
-            domain: user.email.split("@")[1],
-            website: user.website,
-          }
-        : null,
-      commentsAnalysis: {
-        total: postComments.length,
-        averageLength:
-          postComments.reduce((acc, c) => acc + c.body.length, 0) /
-          (postComments.length || 1),
-        sentimentDistribution: commentStats.reduce((acc, stat) => {
-          acc[stat.sentiment] = (acc[stat.sentiment] || 0) + 1;
-          return acc;
-        }, {} as Record<string, number>),
-        totalEngagement: commentStats.reduce(
-          (acc, stat) => acc + stat.engagement,
-          0
-        ),
-      },
-      metadata: {
-        processed: true,
-        timestamp: Date.now(),
-        complexity: wordCount * postComments.length,
-      },
-    });
-  }
-
-  return processed;
-}
-
 async function fetchHighLoadData(): Promise<LoaderData> {
   const startTime = performance.now();
 
   console.log("Next.js - Starting optimized data fetching...");
 
   // 直列でAPIリクエストを実行してconnection limitを回避
-  const postsResponse = await fetch(
-    "https://jsonplaceholder.typicode.com/posts"
-  );
-  const usersResponse = await fetch(
-    "https://jsonplaceholder.typicode.com/users"
-  );
-  const commentsResponse = await fetch(
-    "https://jsonplaceholder.typicode.com/comments"
-  );
-  const albumsResponse = await fetch(
-    "https://jsonplaceholder.typicode.com/albums"
-  );
-  const photosResponse = await fetch(
-    "https://jsonplaceholder.typicode.com/photos"
-  );
-  const todosResponse = await fetch(
-    "https://jsonplaceholder.typicode.com/todos"
-  );
+  const postsResponse = await fetch(`${API_BASE_URL}/posts`);
+  const usersResponse = await fetch(`${API_BASE_URL}/users`);
+  const commentsResponse = await fetch(`${API_BASE_URL}/comments`);
+  const albumsResponse = await fetch(`${API_BASE_URL}/albums`);
+  const photosResponse = await fetch(`${API_BASE_URL}/photos`);
+  const todosResponse = await fetch(`${API_BASE_URL}/todos`);
 
   // 負荷軽減のため重複リクエストをコメントアウト
   // const postsResponse2 = await fetch(
-  //   "https://jsonplaceholder.typicode.com/posts"
+  //   `${API_BASE_URL}/posts`
   // );
   // const commentsResponse2 = await fetch(
-  //   "https://jsonplaceholder.typicode.com/comments"
+  //   `${API_BASE_URL}/comments`
   // );
   // const photosResponse2 = await fetch(
-  //   "https://jsonplaceholder.typicode.com/photos"
+  //   `${API_BASE_URL}/photos`
   // );
 
   const fetchEndTime = performance.now();
@@ -228,6 +98,13 @@ async function fetchHighLoadData(): Promise<LoaderData> {
     totalTime: endTime - startTime,
   };
 
+  // データ取得の各フェーズをServer-Timingヘッダーで公開
+  recordServerTiming([
+    { name: "fetch", duration: fetchEndTime - startTime },
+    { name: "parse", duration: parseEndTime - fetchEndTime },
+    { name: "process", duration: endTime - parseEndTime },
+  ]);
+
   console.log(`Next.js - Optimized data fetching completed:`);
   console.log(`  - Total requests: ${fetchStats.totalRequests}`);
   console.log(`  - Fetch time: ${fetchEndTime - startTime}ms`);
@@ -259,6 +136,10 @@ export const metadata = {
 };
 
 export default async function Posts() {
+  // Render per request like the other routers' loaders; a prerendered page
+  // would fetch and process its data once, at build time
+  await connection();
+
   const {
     posts,
     users,
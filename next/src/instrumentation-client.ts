@@ -0,0 +1,4 @@
+import { markHydrationStart } from "@/lib/hydration";
+
+// Runs after the HTML has loaded and before React starts hydrating
+markHydrationStart("hydrate");
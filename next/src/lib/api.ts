@@ -0,0 +1,4 @@
+// JSONPlaceholder-compatible API used by the posts page.
+// Set API_BASE_URL at build time to point at the local mock server.
+export const API_BASE_URL =
+  process.env.API_BASE_URL ?? "https://jsonplaceholder.typicode.com";
@@ -0,0 +1,9 @@
+// User timing marks read by the benchmark (scripts/benchmark-engine.js) to
+// measure hydration: HYDRATION_START right before React starts hydrating
+// (or rendering, for client-rendered apps), HYDRATION_END once it commits.
+export const HYDRATION_START = "hydration:start";
+export const HYDRATION_END = "hydration:end";
+
+export function markHydrationStart(mode: "hydrate" | "render") {
+  performance.mark(HYDRATION_START, { detail: { mode } });
+}
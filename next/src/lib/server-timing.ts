@@ -0,0 +1,39 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// Server-Timing entries read by the benchmark (scripts/benchmark-engine.js)
+// from the navigation timing of each page load.
+// Phases: fetch, parse, process (page data), render and total.
+export interface ServerTimingEntry {
+  name: string;
+  duration: number;
+  description?: string;
+}
+
+// Pages cannot set response headers, so they record their phases in a
+// request-scoped store that custom-worker.ts turns into the header. The store
+// lives on globalThis because the worker and the pages are separate bundles.
+const STORE_KEY = Symbol.for("router-performance-check.server-timing");
+
+type ServerTimingGlobal = typeof globalThis & {
+  [STORE_KEY]?: AsyncLocalStorage<ServerTimingEntry[]>;
+};
+
+export const serverTimingStore = ((globalThis as ServerTimingGlobal)[
+  STORE_KEY
+] ??= new AsyncLocalStorage<ServerTimingEntry[]>());
+
+export function recordServerTiming(entries: ServerTimingEntry[]) {
+  serverTimingStore.getStore()?.push(...entries);
+}
+
+export function formatServerTiming(entries: ServerTimingEntry[]): string {
+  return entries
+    .map(({ name, duration, description }) =>
+      [
+        name,
+        ...(description ? [`desc="${description}"`] : []),
+        `dur=${duration.toFixed(1)}`,
+      ].join(";")
+    )
+    .join(", ");
+}
@@ -0,0 +1,16 @@
+import { startTransition, StrictMode } from "react";
+import { hydrateRoot } from "react-dom/client";
+import { HydratedRouter } from "react-router/dom";
+import { markHydrationStart } from "./lib/hydration";
+import { HydrationMark } from "./lib/hydration-mark";
+
+startTransition(() => {
+  markHydrationStart("hydrate");
+  hydrateRoot(
+    document,
+    <StrictMode>
+      <HydratedRouter />
+      <HydrationMark />
+    </StrictMode>
+  );
+});
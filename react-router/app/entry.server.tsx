@@ -2,6 +2,7 @@ import type { AppLoadContext, EntryContext } from "react-router";
 import { ServerRouter } from "react-router";
 import { isbot } from "isbot";
 import { renderToReadableStream } from "react-dom/server";
+import { formatServerTiming } from "./lib/server-timing";
 
 export default async function handleRequest(
   request: Request,
@@ -12,6 +13,7 @@ export default async function handleRequest(
 ) {
   let shellRendered = false;
   const userAgent = request.headers.get("user-agent");
+  const renderStart = performance.now();
 
   const body = await renderToReadableStream(
     <ServerRouter context={routerContext} url={request.url} />,
@@ -36,6 +38,12 @@ export default async function handleRequest(
   }
 
   responseHeaders.set("Content-Type", "text/html");
+  responseHeaders.append(
+    "Server-Timing",
+    formatServerTiming([
+      { name: "render", duration: performance.now() - renderStart },
+    ])
+  );
   return new Response(body, {
     headers: responseHeaders,
     status: responseStatusCode,
@@ -0,0 +1,20 @@
+// Server-Timing entries read by the benchmark (scripts/benchmark-engine.js)
+// from the navigation timing of each page load.
+// Phases: fetch, parse, process (loader), render and total.
+export interface ServerTimingEntry {
+  name: string;
+  duration: number;
+  description?: string;
+}
+
+export function formatServerTiming(entries: ServerTimingEntry[]): string {
+  return entries
+    .map(({ name, duration, description }) =>
+      [
+        name,
+        ...(description ? [`desc="${description}"`] : []),
+        `dur=${duration.toFixed(1)}`,
+      ].join(";")
+    )
+    .join(", ");
+}
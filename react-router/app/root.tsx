@@ -85,6 +85,21 @@ export default function App() {
             >
               📝 Posts
             </NavLink>
+            <NavLink
+              to="/posts-deferred"
+              style={({ isActive }) => ({
+                color: "#ecf0f1",
+                textDecoration: "none",
+                padding: "8px 16px",
+                borderRadius: "4px",
+                border: "1px solid #34495e",
+                backgroundColor: isActive ? "#3498db" : "#34495e",
+                transition: "all 0.3s ease",
+              })}
+              className="nav-link"
+            >
+              ⏳ Posts (Deferred)
+            </NavLink>
           </div>
         </div>
       </nav>
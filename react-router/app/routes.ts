@@ -3,4 +3,5 @@ import { type RouteConfig, index, route } from "@react-router/dev/routes";
 export default [
   index("routes/home.tsx"),
   route("posts", "routes/posts.tsx"),
+  route("posts-deferred", "routes/posts-deferred.tsx"),
 ] satisfies RouteConfig;
@@ -0,0 +1,254 @@
+import { Suspense } from "react";
+import { Await, data } from "react-router";
+import type { Route } from "./+types/posts-deferred";
+import { API_BASE_URL } from "~/lib/api";
+import {
+  type Post,
+  type User,
+  type CommentsData,
+  type CollectionsData,
+  loadDeferredData,
+} from "~/lib/posts";
+import { formatServerTiming } from "~/lib/server-timing";
+
+export async function loader() {
+  const startTime = performance.now();
+
+  console.log("React Router - Starting deferred data fetching...");
+
+  // Only the posts and their authors block the first render
+  const postsResponse = await fetch(`${API_BASE_URL}/posts`);
+  const usersResponse = await fetch(`${API_BASE_URL}/users`);
+
+  const fetchEndTime = performance.now();
+
+  const posts = (await postsResponse.json()) as Post[];
+  const users = (await usersResponse.json()) as User[];
+
+  const parseEndTime = performance.now();
+
+  console.log(
+    `React Router - Critical data ready in ${parseEndTime - startTime}ms`
+  );
+
+  // Returned as promises: React Router streams them into the page as they
+  // resolve, after the shell has been sent
+  const { comments, collections } = loadDeferredData(posts, users, startTime);
+
+  // The headers go out before the deferred data resolves, so only the
+  // awaited phases are timed
+  return data(
+    { posts, users, comments, collections },
+    {
+      headers: {
+        "Server-Timing": formatServerTiming([
+          { name: "fetch", duration: fetchEndTime - startTime },
+          { name: "parse", duration: parseEndTime - fetchEndTime },
+        ]),
+      },
+    }
+  );
+}
+
+export function headers({ loaderHeaders }: Route.HeadersArgs) {
+  return loaderHeaders;
+}
+
+export function meta({}: Route.MetaArgs) {
+  return [
+    { title: "Posts (Deferred) - React Router" },
+    {
+      name: "description",
+      content: "Posts page with deferred loader data in React Router",
+    },
+  ];
+}
+
+function Stats({
+  posts,
+  comments: { comments, processedData },
+  collections: { albums, photos, todos, fetchStats },
+}: {
+  posts: Post[];
+  comments: CommentsData;
+  collections: CollectionsData;
+}) {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div>
+        <strong>🚀 Fetch Performance:</strong>
+        <p className="my-1">Total Requests: {fetchStats.totalRequests}</p>
+        <p className="my-1">Total Time: {fetchStats.totalTime.toFixed(2)}ms</p>
+        <p className="my-1">
+          Processing Time: {fetchStats.processingTime.toFixed(2)}ms
+        </p>
+      </div>
+      <div>
+        <strong>📈 Data Volume:</strong>
+        <p className="my-1">Posts: {posts.length}</p>
+        <p className="my-1">Comments: {comments.length}</p>
+        <p className="my-1">Photos: {photos.length}</p>
+        <p className="my-1">
+          Total Size: {(fetchStats.totalDataSize / 1024 / 1024).toFixed(2)}MB
+        </p>
+      </div>
+      <div>
+        <strong>⚡ Processing:</strong>
+        <p className="my-1">Processed Items: {processedData.length}</p>
+        <p className="my-1">
+          Avg Comments/Post: {(comments.length / posts.length).toFixed(1)}
+        </p>
+        <p className="my-1">Albums: {albums.length}</p>
+        <p className="my-1">Todos: {todos.length}</p>
+      </div>
+    </div>
+  );
+}
+
+function CommentsAnalysis({
+  postId,
+  comments: { comments, processedData },
+}: {
+  postId: number;
+  comments: CommentsData;
+}) {
+  const postComments = comments.filter((c) => c.postId === postId);
+  const processedItem = processedData.find((p) => p.postId === postId);
+
+  return (
+    <>
+      <p className="my-1">Total Comments: {postComments.length}</p>
+      {processedItem && (
+        <>
+          <p className="my-1">Word Count: {processedItem.postWordCount}</p>
+          <p className="my-1">
+            Avg Comment Length:{" "}
+            {processedItem.commentsAnalysis.averageLength.toFixed(1)}
+          </p>
+          <p className="my-1">
+            Total Engagement:{" "}
+            {processedItem.commentsAnalysis.totalEngagement.toFixed(1)}
+          </p>
+          <p className="my-1">
+            Sentiment: Positive:{" "}
+            {processedItem.commentsAnalysis.sentimentDistribution.positive || 0}
+            , Neutral:{" "}
+            {processedItem.commentsAnalysis.sentimentDistribution.neutral || 0},
+            Negative:{" "}
+            {processedItem.commentsAnalysis.sentimentDistribution.negative || 0}
+          </p>
+        </>
+      )}
+    </>
+  );
+}
+
+export default function PostsDeferred({ loaderData }: Route.ComponentProps) {
+  const { posts, users, comments, collections } = loaderData;
+
+  // ユーザー情報をIDでマップ化
+  const userMap = users.reduce((map: Record<number, User>, user: User) => {
+    map[user.id] = user;
+    return map;
+  }, {} as Record<number, User>);
+
+  return (
+    <div className="p-5 font-sans text-gray-800">
+      <h1>Posts (React Router) - Deferred Version</h1>
+
+      {/* パフォーマンス統計: 全データの取得後に表示 */}
+      <div className="bg-blue-50 p-5 rounded-lg mb-5 border-2 border-blue-600">
+        <h2 className="m-0 mb-4">📊 Deferred Performance Stats</h2>
+        <Suspense fallback={<p className="my-1">Loading stats...</p>}>
+          <Await resolve={comments}>
+            {(comments) => (
+              <Await resolve={collections}>
+                {(collections) => (
+                  <Stats
+                    posts={posts}
+                    comments={comments}
+                    collections={collections}
+                  />
+                )}
+              </Await>
+            )}
+          </Await>
+        </Suspense>
+      </div>
+
+      {/* データ表示: コメント分析のみ後から表示 */}
+      <div className="grid gap-5 mt-5">
+        {posts.slice(0, 15).map((post: Post) => {
+          const user = userMap[post.userId];
+
+          return (
+            <div
+              key={post.id}
+              className="border border-gray-300 rounded-lg p-4 bg-gray-50 shadow-sm"
+            >
+              <h3 className="m-0 mb-2">
+                {post.title} #{post.id}
+              </h3>
+              <p className="m-0 mb-3 text-gray-600 leading-relaxed">
+                {post.body}
+              </p>
+
+              {user && (
+                <div className="text-sm text-gray-500 mb-3">
+                  <p className="my-1">
+                    <strong>Author:</strong> {user.name} ({user.email})
+                  </p>
+                  <p className="my-1">
+                    <strong>Website:</strong> {user.website}
+                  </p>
+                </div>
+              )}
+
+              {/* コメント情報 */}
+              <div className="bg-blue-100 p-3 rounded text-xs mt-3">
+                <strong>💬 Comments Analysis:</strong>
+                <Suspense
+                  fallback={<p className="my-1">Loading comments...</p>}
+                >
+                  <Await resolve={comments}>
+                    {(comments) => (
+                      <CommentsAnalysis postId={post.id} comments={comments} />
+                    )}
+                  </Await>
+                </Suspense>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="mt-10 p-5 bg-yellow-50 rounded-lg border border-yellow-300">
+        <h2>⚡ Deferred Performance Testing</h2>
+        <p>
+          <strong>
+            This page fetches the same data as /posts, but only waits for part
+            of it:
+          </strong>
+        </p>
+        <ul>
+          <li>
+            🚀 <strong>Posts and authors</strong> are loaded before the first
+            render
+          </li>
+          <li>
+            💬 <strong>Comments and their analysis</strong> stream in through{" "}
+            <code>&lt;Await&gt;</code> once processed
+          </li>
+          <li>
+            📊 <strong>Albums, photos and todos</strong> stream in last,
+            completing the stats
+          </li>
+        </ul>
+        <p>
+          Compare with /posts to see how React Router handles progressive data
+          rendering.
+        </p>
+      </div>
+    </div>
+  );
+}
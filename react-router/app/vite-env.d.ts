@@ -0,0 +1,3 @@
+interface ImportMetaEnv {
+  readonly API_BASE_URL?: string;
+}
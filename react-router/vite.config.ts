@@ -1,14 +1,23 @@
 import { reactRouter } from "@react-router/dev/vite";
 import { cloudflare } from "@cloudflare/vite-plugin";
 import tailwindcss from "@tailwindcss/vite";
-import { defineConfig } from "vite";
+import { defineConfig, loadEnv } from "vite";
 import tsconfigPaths from "vite-tsconfig-paths";
 
-export default defineConfig({
-  plugins: [
-    cloudflare({ viteEnvironment: { name: "ssr" } }),
-    tailwindcss(),
-    reactRouter(),
-    tsconfigPaths(),
-  ],
+export default defineConfig(({ mode }) => {
+  // Inline API_BASE_URL, and only it, so the posts loader can target the
+  // local mock API without exposing other API_* variables to the bundle
+  const { API_BASE_URL } = loadEnv(mode, ".", "API_BASE_URL");
+
+  return {
+    define: API_BASE_URL
+      ? { "import.meta.env.API_BASE_URL": JSON.stringify(API_BASE_URL) }
+      : {},
+    plugins: [
+      cloudflare({ viteEnvironment: { name: "ssr" } }),
+      tailwindcss(),
+      reactRouter(),
+      tsconfigPaths(),
+    ],
+  };
 });
@@ -1,4 +1,5 @@
 import { createRequestHandler } from "react-router";
+import { formatServerTiming } from "../app/lib/server-timing";
 
 declare module "react-router" {
   export interface AppLoadContext {
@@ -16,8 +17,24 @@ const requestHandler = createRequestHandler(
 
 export default {
   async fetch(request, env, ctx) {
-    return requestHandler(request, {
+    const start = performance.now();
+    const response = await requestHandler(request, {
       cloudflare: { env, ctx },
     });
+
+    // Total server time until the response headers are ready
+    const headers = new Headers(response.headers);
+    headers.append(
+      "Server-Timing",
+      formatServerTiming([
+        { name: "total", duration: performance.now() - start },
+      ])
+    );
+
+    return new Response(response.body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+    });
   },
 } satisfies ExportedHandler<Env>;
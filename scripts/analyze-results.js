@@ -10,6 +10,21 @@ import path from "path";
 import yargs from "yargs";
 import chalk from "chalk";
 import { table } from "table";
+import {
+  calculateStats,
+  compareSamples,
+  minimumRunsForSignificance,
+  mean,
+  detectOutliers,
+  OUTLIER_METHODS,
+} from "./statistics.js";
+import {
+  loadReporter,
+  BUILTIN_REPORTERS,
+  SUMMARY_METRICS,
+} from "./reporters.js";
+import { archiveAnalysis } from "./history.js";
+import { selectMetrics } from "./metrics.js";
 import dotenv from "dotenv";
 
 // Load environment variables from .env file
@@ -35,47 +50,29 @@ const log = {
     ),
 };
 
-// Statistical functions
-function calculateStats(values) {
-  if (!values || values.length === 0) return null;
-
-  const validValues = values.filter(
-    (v) => v !== null && v !== undefined && !isNaN(v)
-  );
-  if (validValues.length === 0) return null;
-
-  const sorted = [...validValues].sort((a, b) => a - b);
-  const sum = validValues.reduce((a, b) => a + b, 0);
-  const mean = sum / validValues.length;
-
-  // Calculate variance and standard deviation
-  const variance =
-    validValues.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) /
-    validValues.length;
-  const stdDev = Math.sqrt(variance);
-
-  return {
-    count: validValues.length,
-    min: Math.min(...validValues),
-    max: Math.max(...validValues),
-    mean: mean,
-    median: sorted[Math.floor(sorted.length / 2)],
-    p95: sorted[Math.floor(sorted.length * 0.95)],
-    stdDev: stdDev,
-    coefficientOfVariation: stdDev / mean,
-  };
-}
-
 function formatNumber(num, decimals = 2, unit = "") {
   if (num === null || num === undefined || isNaN(num)) return "N/A";
   return `${num.toFixed(decimals)}${unit}`;
 }
 
+// Mean ± the confidence interval half-width, with median and p95
+function formatDistribution(stats, decimals, unit = "") {
+  return `${formatNumber(stats.mean, decimals, unit)} ± ${formatNumber(
+    stats.mean - stats.ci.lower,
+    decimals,
+    unit
+  )}, median ${formatNumber(stats.median, decimals, unit)}, p95 ${formatNumber(
+    stats.p95,
+    decimals,
+    unit
+  )}`;
+}
+
 function formatBytes(bytes) {
   if (!bytes || bytes === 0) return "0 B";
   const k = 1024;
   const sizes = ["B", "KB", "MB", "GB"];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  const i = Math.floor(Math.log(Math.abs(bytes)) / Math.log(k));
   return `${(bytes / Math.pow(k, i)).toFixed(2)} ${sizes[i]}`;
 }
 
@@ -87,6 +84,8 @@ function getPerformanceGrade(value, metric) {
     tbt: { good: 200, poor: 600 },
     tti: { good: 3800, poor: 7300 },
     si: { good: 3400, poor: 5800 },
+    ttfb: { good: 800, poor: 1800 },
+    inp: { good: 200, poor: 500 },
   };
 
   const threshold = thresholds[metric];
@@ -147,16 +146,27 @@ async function findLatestResults(outputDir = "./reports") {
   }
 }
 
-// Group results by app and route
+// Route (and profile, when results are tagged with one) a result belongs to
+function scopeKey(route, profile) {
+  return profile ? `${route}@${profile}` : route;
+}
+
+// Human-readable scope, e.g. "POSTS Route (mobile-4G)"
+function formatScope({ route, profile }) {
+  return `${route.toUpperCase()} Route${profile ? ` (${profile})` : ""}`;
+}
+
+// Group results by app, route and profile
 function groupResults(results) {
   const grouped = {};
 
   for (const result of results) {
-    const key = `${result.app}-${result.route}`;
+    const key = `${result.app}-${scopeKey(result.route, result.profile)}`;
     if (!grouped[key]) {
       grouped[key] = {
         app: result.app,
         route: result.route,
+        ...(result.profile ? { profile: result.profile } : {}),
         runs: [],
       };
     }
@@ -166,12 +176,342 @@ function groupResults(results) {
   return grouped;
 }
 
+// Most frequent value in a list (e.g. the LCP element across runs)
+function mostCommon(values) {
+  const counts = {};
+  for (const value of values) {
+    counts[value] = (counts[value] || 0) + 1;
+  }
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return top ? { value: top[0], count: top[1] } : null;
+}
+
+// Summarize web-vitals attribution: the usual LCP element, the slowest
+// interaction and the mean of every LCP/INP subpart
+function analyzeWebVitalsAttribution(runs) {
+  const attributions = runs
+    .filter((run) => run.webVitals?.attribution)
+    .map((run) => ({
+      ...run.webVitals.attribution,
+      inpValue: run.webVitals.inp,
+    }));
+  if (attributions.length === 0) return null;
+
+  const subpartStats = (metric, fields) =>
+    Object.fromEntries(
+      fields.map((field) => [
+        field,
+        calculateStats(attributions.map((a) => a[metric]?.[field])),
+      ])
+    );
+
+  const slowest = attributions
+    .filter((a) => a.inp && a.inpValue !== null && a.inpValue !== undefined)
+    .sort((a, b) => b.inpValue - a.inpValue)[0];
+
+  return {
+    lcpElement: mostCommon(
+      attributions.map((a) => a.lcp?.target).filter(Boolean)
+    ),
+    lcp: subpartStats("lcp", [
+      "timeToFirstByte",
+      "resourceLoadDelay",
+      "resourceLoadDuration",
+      "elementRenderDelay",
+    ]),
+    slowestInteraction: slowest
+      ? {
+          target: slowest.inp.interactionTarget,
+          type: slowest.inp.interactionType,
+          value: slowest.inpValue,
+        }
+      : null,
+    inp: subpartStats("inp", [
+      "inputDelay",
+      "processingDuration",
+      "presentationDelay",
+    ]),
+    largestShiftTarget: mostCommon(
+      attributions.map((a) => a.cls?.largestShiftTarget).filter(Boolean)
+    ),
+  };
+}
+
+// Server-Timing phases emitted by the apps (fetch, parse, process, render,
+// total); client-rendered apps report their loader phases as User Timing
+const LOADER_PHASES = ["fetch", "parse", "process", "render", "total"];
+
+function loaderPhases(run) {
+  const serverTiming = run.pagePerformance?.navigationTiming?.serverTiming;
+  const source = serverTiming?.length > 0 ? "server" : "client";
+  const entries =
+    source === "server" ? serverTiming : run.pagePerformance?.loaderTiming;
+  if (!entries?.length) return null;
+
+  // Header values may repeat (e.g. one per layer), so sum by name
+  const phases = {};
+  for (const entry of entries) {
+    phases[entry.name] = (phases[entry.name] || 0) + (entry.duration || 0);
+  }
+  return { source, phases };
+}
+
+// Server time per phase, and TTFB split into data (loader), render and the
+// remaining network/framework time for server-rendered apps
+function analyzeServerTiming(runs) {
+  const timings = runs
+    .map((run) => ({ run, timing: loaderPhases(run) }))
+    .filter(({ timing }) => timing);
+  if (timings.length === 0) return null;
+
+  const source = timings[0].timing.source;
+  const phases = {};
+  for (const phase of LOADER_PHASES) {
+    const stats = calculateStats(
+      timings.map(({ timing }) => timing.phases[phase])
+    );
+    if (stats) phases[phase] = stats;
+  }
+
+  let ttfb = null;
+  if (source === "server") {
+    const split = timings.map(({ run, timing }) => {
+      const data =
+        (timing.phases.fetch || 0) +
+        (timing.phases.parse || 0) +
+        (timing.phases.process || 0);
+      const render = timing.phases.render || 0;
+      const firstByte = run.pagePerformance?.performanceTiming?.firstByte;
+      return {
+        data,
+        render,
+        other:
+          firstByte !== undefined
+            ? Math.max(firstByte - data - render, 0)
+            : null,
+      };
+    });
+
+    ttfb = {
+      data: calculateStats(split.map((s) => s.data)),
+      render: calculateStats(split.map((s) => s.render)),
+      other: calculateStats(split.map((s) => s.other)),
+    };
+  }
+
+  return { source, phases, ttfb };
+}
+
+// Metrics whose outliers flag a run; a GC pause or network blip shows up
+// in at least one of them
+const OUTLIER_METRICS = ["fcp", "lcp", "tbt", "ttfb"];
+
+// Successful runs of a group with outlier runs flagged, and excluded when
+// outliers is "exclude"
+function selectRuns(group, { outliers = "keep", outlierMethod = "iqr" } = {}) {
+  const runs = group.runs.filter((run) => !run.error);
+  const flags = runs.map(() => []);
+
+  for (const metric of SIGNIFICANCE_METRICS) {
+    if (!OUTLIER_METRICS.includes(metric.key)) continue;
+
+    const measured = runs
+      .map((run, index) => ({ index, value: metric.extract(run) }))
+      .filter(
+        ({ value }) => value !== null && value !== undefined && !isNaN(value)
+      );
+    const isOutlier = detectOutliers(
+      measured.map(({ value }) => value),
+      outlierMethod
+    );
+    measured.forEach(({ index }, i) => {
+      if (isOutlier[i]) flags[index].push(metric.key);
+    });
+  }
+
+  const exclude = outliers === "exclude";
+  return {
+    runs: exclude ? runs.filter((run, index) => !flags[index].length) : runs,
+    outliers: {
+      method: outlierMethod,
+      excluded: exclude,
+      runs: runs
+        .map((run, index) => ({
+          runIndex: run.runIndex,
+          ...(run.location ? { location: run.location } : {}),
+          metrics: flags[index],
+        }))
+        .filter((run) => run.metrics.length > 0),
+    },
+  };
+}
+
+// Lighthouse user-flow steps (see runLighthouseFlow) and their metrics
+const FLOW_METRICS = {
+  navigation: ["performance", "fcp", "lcp", "tbt", "cls", "si"],
+  timespan: ["inp", "tbt", "cls"],
+  snapshot: ["domSize"],
+};
+
+function analyzeFlow(runs) {
+  const flowRuns = runs.filter((run) => run.flow);
+  if (flowRuns.length === 0) return null;
+
+  const flow = {
+    reports: flowRuns.map((run) => run.flow.report).filter(Boolean),
+  };
+  for (const [step, fields] of Object.entries(FLOW_METRICS)) {
+    flow[step] = {};
+    for (const field of fields) {
+      flow[step][field] = calculateStats(
+        flowRuns.map((run) => run.flow[step]?.[field])
+      );
+    }
+  }
+
+  return flow;
+}
+
+// Document delivery per user agent (browser, and bot with --bot-ua)
+const DOCUMENT_STREAM_FIELDS = [
+  "firstByte",
+  "firstChunk",
+  "lastByte",
+  "chunks",
+  "bytes",
+];
+
+function analyzeDocumentStream(runs) {
+  const agents = [
+    ...new Set(runs.flatMap((run) => Object.keys(run.documentStream || {}))),
+  ];
+  if (agents.length === 0) return null;
+
+  return Object.fromEntries(
+    agents.map((agent) => [
+      agent,
+      Object.fromEntries(
+        DOCUMENT_STREAM_FIELDS.map((field) => [
+          field,
+          calculateStats(
+            runs.map((run) => run.documentStream?.[agent]?.[field])
+          ),
+        ])
+      ),
+    ])
+  );
+}
+
+// Hydration timing; the mode ("hydrate" or "render") tells SSR apps from
+// client-rendered ones
+function analyzeHydration(runs) {
+  const hydrationRuns = runs.filter((run) => run.hydration);
+  if (hydrationRuns.length === 0) return null;
+
+  const stats = (field) =>
+    calculateStats(hydrationRuns.map((run) => run.hydration[field]));
+
+  return {
+    mode:
+      mostCommon(hydrationRuns.map((run) => run.hydration.mode).filter(Boolean))
+        ?.value ?? null,
+    source: mostCommon(hydrationRuns.map((run) => run.hydration.source)).value,
+    start: stats("start"),
+    end: stats("end"),
+    duration: stats("duration"),
+    interactiveAfterFcp: stats("interactiveAfterFcp"),
+  };
+}
+
+// CPU profile breakdown of the runs recorded with --profile-cpu
+function analyzeCpu(runs) {
+  const cpuRuns = runs.filter((run) => run.cpu);
+  if (cpuRuns.length === 0) return null;
+
+  const stats = (extract) => calculateStats(cpuRuns.map(extract));
+  const blockStats = (block) =>
+    Object.fromEntries(
+      Object.keys(cpuRuns[0].cpu[block]).map((key) => [
+        key,
+        stats((run) => run.cpu[block]?.[key]),
+      ])
+    );
+
+  return {
+    longTasks: {
+      count: stats((run) => run.cpu.longTasks.count),
+      total: stats((run) => run.cpu.longTasks.total),
+      blockingTime: stats((run) => run.cpu.longTasks.blockingTime),
+      longest: stats((run) => run.cpu.longTasks.longest),
+    },
+    categories: blockStats("categories"),
+    bundles: blockStats("bundles"),
+    hydration: {
+      firstCommit: stats((run) => run.cpu.hydration?.firstCommit),
+      scripting: stats((run) => run.cpu.hydration?.scripting),
+    },
+    traces: cpuRuns.map((run) => run.cpu.trace),
+  };
+}
+
+// Memory counters recorded by measureMemory
+const MEMORY_FIELDS = [
+  "jsHeapUsed",
+  "jsHeapTotal",
+  "domNodes",
+  "listeners",
+  "documents",
+];
+
+// Growth per round trip after the first (median run) from which the
+// navigation is reported as a possible leak. What a single round trip
+// leaves behind is often a cache or the last commit React still holds on
+// to; a leak keeps growing with every round trip
+const LEAK_THRESHOLDS = {
+  jsHeapUsed: 256 * 1024,
+  domNodes: 10,
+  listeners: 1,
+  detachedNodes: 1,
+};
+
+function analyzeMemory(runs) {
+  const memoryRuns = runs.filter((run) => run.memory);
+  if (memoryRuns.length === 0) return null;
+
+  const stats = (phase, fields) =>
+    Object.fromEntries(
+      fields.map((field) => [
+        field,
+        calculateStats(memoryRuns.map((run) => run.memory[phase]?.[field])),
+      ])
+    );
+
+  const memory = { route: stats("route", MEMORY_FIELDS) };
+  if (memoryRuns.some((run) => run.memory.cycle)) {
+    memory.cycle = stats("cycle", [...MEMORY_FIELDS, "detachedNodes"]);
+    memory.retained = stats("retained", MEMORY_FIELDS);
+  }
+  if (memoryRuns.some((run) => run.memory.growth)) {
+    const growth = stats("growth", [...MEMORY_FIELDS, "detachedNodes"]);
+    memory.growth = growth;
+    memory.leaks = Object.entries(LEAK_THRESHOLDS)
+      .filter(([field, threshold]) => growth[field]?.median >= threshold)
+      .map(([field, threshold]) => ({
+        metric: field,
+        median: growth[field].median,
+        threshold,
+      }));
+  }
+
+  return memory;
+}
+
 // Analyze grouped results
-function analyzeGroupedResults(grouped) {
+function analyzeGroupedResults(grouped, options = {}) {
   const analysis = {};
 
   for (const [key, group] of Object.entries(grouped)) {
-    const runs = group.runs.filter((run) => !run.error);
+    const { runs, outliers } = selectRuns(group, options);
 
     if (runs.length === 0) {
       analysis[key] = { ...group, error: "No successful runs" };
@@ -189,6 +529,30 @@ function analyzeGroupedResults(grouped) {
       lighthouseMetrics[field] = calculateStats(values);
     }
 
+    // Main-thread diagnostics (bootup-time, mainthread-work-breakdown)
+    const mainThreadGroups = [
+      ...new Set(
+        runs.flatMap((run) =>
+          Object.keys(run.lighthouse?.diagnostics?.mainThreadWork || {})
+        )
+      ),
+    ];
+    const diagnostics = {
+      bootupTime: calculateStats(
+        runs.map((run) => run.lighthouse?.diagnostics?.bootupTime)
+      ),
+      mainThreadWork: Object.fromEntries(
+        mainThreadGroups.map((group) => [
+          group,
+          calculateStats(
+            runs.map(
+              (run) => run.lighthouse?.diagnostics?.mainThreadWork[group]
+            )
+          ),
+        ])
+      ),
+    };
+
     // Extract performance scores
     const performanceScores = runs
       .map((run) => run.lighthouse?.performance)
@@ -196,7 +560,7 @@ function analyzeGroupedResults(grouped) {
 
     // Extract Web Vitals
     const webVitals = {};
-    const webVitalsFields = ["fcp", "lcp", "cls"];
+    const webVitalsFields = ["fcp", "lcp", "cls", "ttfb", "inp"];
 
     for (const field of webVitalsFields) {
       const values = runs
@@ -204,6 +568,7 @@ function analyzeGroupedResults(grouped) {
         .filter((v) => v !== null && v !== undefined && !isNaN(v));
       webVitals[field] = calculateStats(values);
     }
+    webVitals.attribution = analyzeWebVitalsAttribution(runs);
 
     // Extract page performance timing
     const pagePerformanceTiming = {};
@@ -221,6 +586,45 @@ function analyzeGroupedResults(grouped) {
       pagePerformanceTiming[field] = calculateStats(values);
     }
 
+    // Extract navigation phases (Navigation Timing Level 2)
+    const navigationTiming = {};
+    const phaseFields = [
+      "redirect",
+      "dns",
+      "tcp",
+      "tls",
+      "request",
+      "response",
+      "transferSize",
+    ];
+
+    for (const field of phaseFields) {
+      const values = runs
+        .map((run) => run.pagePerformance?.navigationTiming?.[field])
+        .filter((v) => v !== null && v !== undefined && !isNaN(v));
+      navigationTiming[field] = calculateStats(values);
+    }
+
+    // Extract request counts and sizes per resource type
+    const resources = {};
+    const resourceTypes = [
+      ...new Set(
+        runs.flatMap((run) =>
+          Object.keys(run.pagePerformance?.resourceSummary || {})
+        )
+      ),
+    ];
+
+    for (const type of resourceTypes) {
+      resources[type] = {};
+      for (const field of ["count", "transferSize", "decodedBodySize"]) {
+        const values = runs
+          .map((run) => run.pagePerformance?.resourceSummary?.[type]?.[field])
+          .filter((v) => v !== null && v !== undefined && !isNaN(v));
+        resources[type][field] = calculateStats(values);
+      }
+    }
+
     // Extract bundle optimization opportunities
     const bundleOptimization = {};
     const bundleFields = ["unusedJs", "unusedCss", "unminifiedJs"];
@@ -232,6 +636,33 @@ function analyzeGroupedResults(grouped) {
       bundleOptimization[field] = calculateStats(values);
     }
 
+    // Extract client-side navigation timing
+    const navigationFields = ["urlChange", "loaderData", "contentPainted"];
+    const navigationStats = (navRuns) =>
+      Object.fromEntries(
+        navigationFields.map((field) => [
+          field,
+          calculateStats(
+            navRuns
+              .map((run) => run.navigation?.[field])
+              .filter((v) => v !== null && v !== undefined && !isNaN(v))
+          ),
+        ])
+      );
+
+    const navigation = navigationStats(runs);
+    // Cold and warm transitions apart: a warm run had the route data
+    // prefetched by the app before the click
+    const navRuns = runs.filter((run) => run.navigation);
+    const warmRuns = navRuns.filter((run) => run.navigation.prefetched);
+    navigation.prefetchedRuns = warmRuns.length;
+    if (warmRuns.length > 0) {
+      navigation.cold = navigationStats(
+        navRuns.filter((run) => !run.navigation.prefetched)
+      );
+      navigation.warm = navigationStats(warmRuns);
+    }
+
     analysis[key] = {
       ...group,
       runs: runs.length,
@@ -239,41 +670,212 @@ function analyzeGroupedResults(grouped) {
         performanceScore: calculateStats(performanceScores),
         metrics: lighthouseMetrics,
         opportunities: bundleOptimization,
+        diagnostics,
       },
       webVitals,
       pagePerformance: pagePerformanceTiming,
+      navigationTiming,
+      resources,
+      serverTiming: analyzeServerTiming(runs),
+      navigation,
+      flow: analyzeFlow(runs),
+      documentStream: analyzeDocumentStream(runs),
+      hydration: analyzeHydration(runs),
+      memory: analyzeMemory(runs),
+      cpu: analyzeCpu(runs),
+      outliers,
     };
   }
 
   return analysis;
 }
 
-// Generate comparison between apps
-function generateComparison(analysis) {
+// Metrics tested for significance
+const SIGNIFICANCE_METRICS = selectMetrics([
+  "performanceScore",
+  "fcp",
+  "lcp",
+  "cls",
+  "tbt",
+  "tti",
+  "si",
+  "ttfb",
+  "inp",
+  "navContentPainted",
+  "hydration",
+  "interactiveAfterFcp",
+  "flowInp",
+]);
+
+// Pairwise significance tests for every metric, with a winner only when
+// the best app is significantly better than every other app
+function generateSignificance(appRuns, alpha) {
+  const appNames = Object.keys(appRuns);
+  const significance = {};
+
+  for (const metric of SIGNIFICANCE_METRICS) {
+    const samples = {};
+    for (const appName of appNames) {
+      samples[appName] = appRuns[appName]
+        .map(metric.extract)
+        .filter((v) => v !== null && v !== undefined && !isNaN(v));
+    }
+
+    const measured = appNames.filter((app) => samples[app].length > 0);
+    if (measured.length < 2) continue;
+
+    const pairs = [];
+    for (let i = 0; i < measured.length; i++) {
+      for (let j = i + 1; j < measured.length; j++) {
+        const a = measured[i];
+        const b = measured[j];
+        const result = compareSamples(samples[a], samples[b], { alpha });
+        if (result) {
+          pairs.push({ a, b, ...result });
+        }
+      }
+    }
+
+    const ranked = [...measured].sort((x, y) =>
+      metric.higherIsBetter
+        ? mean(samples[y]) - mean(samples[x])
+        : mean(samples[x]) - mean(samples[y])
+    );
+    const best = ranked[0];
+    const bestPairs = pairs.filter(
+      (pair) => pair.a === best || pair.b === best
+    );
+    const winner = bestPairs.every((pair) => pair.significant) ? best : null;
+
+    significance[metric.key] = {
+      name: metric.name,
+      unit: metric.unit,
+      higherIsBetter: Boolean(metric.higherIsBetter),
+      best,
+      winner,
+      pairs,
+    };
+  }
+
+  return significance;
+}
+
+// Build data-driven conclusions from the significance results
+function generateSummary(significance, alpha) {
+  const winners = {};
+  const wins = {};
+  const conclusions = [];
+
+  for (const [key, result] of Object.entries(significance)) {
+    winners[key] = result.winner;
+
+    if (result.winner) {
+      wins[result.winner] = (wins[result.winner] || 0) + 1;
+      const winnerPairs = result.pairs.filter(
+        (pair) => pair.a === result.winner || pair.b === result.winner
+      );
+      const others = winnerPairs.map((pair) =>
+        pair.a === result.winner ? pair.b : pair.a
+      );
+      const maxP = Math.max(...winnerPairs.map((pair) => pair.mannWhitney.p));
+      conclusions.push(
+        `${result.name}: ${result.winner} is ${
+          result.higherIsBetter ? "higher" : "lower"
+        } than ${others.join(", ")} (p ≤ ${maxP.toFixed(3)})`
+      );
+    } else if (result.pairs.some((pair) => !pair.reachable)) {
+      conclusions.push(
+        `${result.name}: too few runs to test at α = ${alpha} (best mean: ${result.best})`
+      );
+    } else {
+      conclusions.push(
+        `${result.name}: no significant difference at α = ${alpha} (best mean: ${result.best})`
+      );
+    }
+  }
+
+  // Pairs whose sample sizes make p < alpha impossible, e.g. 3 runs each
+  const underpowered = Object.values(significance).some((result) =>
+    result.pairs.some((pair) => !pair.reachable)
+  );
+
+  // Declare an overall winner only for a strict lead in significant wins
+  const ranking = Object.entries(wins).sort((a, b) => b[1] - a[1]);
+  const overallWinner =
+    ranking.length > 0 &&
+    (ranking.length === 1 || ranking[0][1] > ranking[1][1])
+      ? ranking[0][0]
+      : null;
+
+  return {
+    alpha,
+    winners,
+    wins,
+    overallWinner,
+    conclusions,
+    ...(underpowered
+      ? { underpowered, minimumRuns: minimumRunsForSignificance(alpha) }
+      : {}),
+  };
+}
+
+// Non-app keys stored alongside the per-app entries of a route comparison
+const COMPARISON_FIELDS = [
+  "route",
+  "profile",
+  "improvements",
+  "significance",
+  "summary",
+];
+
+// Generate comparison between apps, per route and profile
+function generateComparison(
+  analysis,
+  grouped = {},
+  { alpha = 0.05, ...runOptions } = {}
+) {
   const comparison = {};
-  const routes = [...new Set(Object.values(analysis).map((a) => a.route))];
+  const scopes = {};
+  for (const data of Object.values(analysis)) {
+    scopes[scopeKey(data.route, data.profile)] = {
+      route: data.route,
+      profile: data.profile,
+    };
+  }
 
-  for (const route of routes) {
-    // Get all apps for this route
+  for (const [scope, { route, profile }] of Object.entries(scopes)) {
+    // Get all apps for this route and profile
     const appsForRoute = {};
     const appNames = [];
 
-    for (const [key, data] of Object.entries(analysis)) {
-      if (data.route === route) {
-        const appName = key.replace(`-${route}`, "");
-        appsForRoute[appName] = data;
-        appNames.push(appName);
+    for (const data of Object.values(analysis)) {
+      if (scopeKey(data.route, data.profile) === scope) {
+        appsForRoute[data.app] = data;
+        appNames.push(data.app);
       }
     }
 
     if (appNames.length < 2) continue; // Need at least 2 apps to compare
 
-    comparison[route] = {
+    comparison[scope] = {
       route,
+      ...(profile ? { profile } : {}),
       ...appsForRoute,
       improvements: {},
     };
 
+    // Significance tests need the same individual runs as the analysis
+    const appRuns = {};
+    for (const appName of appNames) {
+      appRuns[appName] = selectRuns(
+        grouped[`${appName}-${scope}`] || { runs: [] },
+        runOptions
+      ).runs;
+    }
+    const significance = generateSignificance(appRuns, alpha);
+    comparison[scope].significance = significance;
+    comparison[scope].summary = generateSummary(significance, alpha);
+
     // Calculate improvements relative to the first app as baseline
     const baselineApp = appNames[0];
     const baseline = appsForRoute[baselineApp];
@@ -283,13 +885,13 @@ function generateComparison(analysis) {
       const baselineValue = baseline.lighthouse?.metrics?.[metric]?.mean;
 
       if (baselineValue) {
-        comparison[route].improvements[metric] = {};
+        comparison[scope].improvements[metric] = {};
 
         for (const appName of appNames) {
           const appValue =
             appsForRoute[appName].lighthouse?.metrics?.[metric]?.mean;
           if (appValue && appName !== baselineApp) {
-            comparison[route].improvements[metric][appName] =
+            comparison[scope].improvements[metric][appName] =
               calculateImprovement(
                 baselineValue,
                 appValue,
@@ -304,13 +906,13 @@ function generateComparison(analysis) {
     const baselineScore = baseline.lighthouse?.performanceScore?.mean;
 
     if (baselineScore) {
-      comparison[route].improvements.performanceScore = {};
+      comparison[scope].improvements.performanceScore = {};
 
       for (const appName of appNames) {
         const appScore =
           appsForRoute[appName].lighthouse?.performanceScore?.mean;
         if (appScore && appName !== baselineApp) {
-          comparison[route].improvements.performanceScore[appName] =
+          comparison[scope].improvements.performanceScore[appName] =
             calculateImprovement(baselineScore, appScore);
         }
       }
@@ -320,6 +922,62 @@ function generateComparison(analysis) {
   return comparison;
 }
 
+function formatPValue(p) {
+  if (p === null || p === undefined || isNaN(p)) return "N/A";
+  return p < 0.001 ? "<0.001" : p.toFixed(3);
+}
+
+// Display pairwise significance tests for a route
+function displaySignificance(comp, significance) {
+  if (!significance || Object.keys(significance).length === 0) return;
+
+  const tableData = [
+    [
+      "Metric",
+      "Comparison",
+      "Δ Mean",
+      "95% CI",
+      "p (MWU)",
+      "p (Welch)",
+      "Sig.",
+    ],
+  ];
+
+  for (const result of Object.values(significance)) {
+    const decimals = result.unit === "ms" ? 0 : 3;
+
+    for (const pair of result.pairs) {
+      tableData.push([
+        result.name,
+        `${pair.b} vs ${pair.a}`,
+        `${pair.delta > 0 ? "+" : ""}${formatNumber(
+          pair.delta,
+          decimals,
+          result.unit
+        )}`,
+        pair.ci
+          ? `[${formatNumber(pair.ci.lower, decimals)}, ${formatNumber(
+              pair.ci.upper,
+              decimals
+            )}]`
+          : "N/A",
+        formatPValue(pair.mannWhitney?.p),
+        formatPValue(pair.welch?.p),
+        pair.significant ? chalk.green("yes") : chalk.gray("no"),
+      ]);
+    }
+  }
+
+  console.log(
+    table(tableData, {
+      header: {
+        alignment: "center",
+        content: `${formatScope(comp)} Significance Tests`,
+      },
+    })
+  );
+}
+
 // Display analysis results
 function displayAnalysis(analysis, comparison) {
   log.header("PERFORMANCE ANALYSIS RESULTS");
@@ -332,11 +990,28 @@ function displayAnalysis(analysis, comparison) {
     }
 
     log.subheader(
-      `${result.app.toUpperCase()} - ${result.route} Route (${
-        result.runs
-      } runs)`
+      `${result.app.toUpperCase()} - ${result.route} Route${
+        result.profile ? ` [${result.profile}]` : ""
+      } (${result.runs} runs)`
     );
 
+    // Outlier runs
+    if (result.outliers?.runs.length > 0) {
+      const { method, excluded, runs } = result.outliers;
+      log.warn(
+        `${runs.length} outlier run${
+          runs.length === 1 ? "" : "s"
+        } (${method.toUpperCase()}, ${excluded ? "excluded" : "kept"}): ${runs
+          .map(
+            (run) =>
+              `#${run.runIndex + 1}${
+                run.location ? ` ${run.location}` : ""
+              } (${run.metrics.join(", ")})`
+          )
+          .join(", ")}`
+      );
+    }
+
     // Performance Score
     if (result.lighthouse?.performanceScore) {
       const score = result.lighthouse.performanceScore;
@@ -345,6 +1020,12 @@ function displayAnalysis(analysis, comparison) {
       console.log(
         `  Range: ${formatNumber(score.min, 1)} - ${formatNumber(score.max, 1)}`
       );
+      console.log(
+        `  95% CI: ${formatNumber(score.ci.lower, 1)} - ${formatNumber(
+          score.ci.upper,
+          1
+        )}`
+      );
       console.log(`  Std Dev: ${formatNumber(score.stdDev, 2)}`);
     }
 
@@ -364,15 +1045,103 @@ function displayAnalysis(analysis, comparison) {
       if (data) {
         const grade = getPerformanceGrade(data.mean, metric.key);
         console.log(
-          `  ${metric.name}: ${formatNumber(
-            data.mean,
-            0,
+          `  ${metric.name}: ${formatDistribution(
+            data,
+            metric.unit ? 0 : 3,
             metric.unit
           )} (${grade})`
         );
       }
     }
 
+    const bootupTime = result.lighthouse?.diagnostics?.bootupTime;
+    if (bootupTime) {
+      console.log(
+        `  JavaScript Bootup Time: ${formatDistribution(bootupTime, 0, "ms")}`
+      );
+    }
+
+    // Field-style Core Web Vitals from the web-vitals library
+    const vitals = result.webVitals;
+    if (vitals && ["fcp", "lcp", "ttfb", "inp"].some((key) => vitals[key])) {
+      console.log(`\n${chalk.bold("Core Web Vitals (web-vitals):")}`);
+      const webVitalsMetrics = [
+        { key: "fcp", name: "First Contentful Paint", unit: "ms" },
+        { key: "lcp", name: "Largest Contentful Paint", unit: "ms" },
+        { key: "cls", name: "Cumulative Layout Shift", unit: "" },
+        { key: "ttfb", name: "Time to First Byte", unit: "ms" },
+        { key: "inp", name: "Interaction to Next Paint", unit: "ms" },
+      ];
+
+      for (const metric of webVitalsMetrics) {
+        const data = vitals[metric.key];
+        if (data) {
+          console.log(
+            `  ${metric.name}: ${formatDistribution(
+              data,
+              metric.unit ? 0 : 3,
+              metric.unit
+            )} (${getPerformanceGrade(data.mean, metric.key)})`
+          );
+        }
+      }
+
+      const attribution = vitals.attribution;
+      if (attribution?.lcpElement) {
+        const lcp = attribution.lcp;
+        console.log(
+          `  LCP element: ${attribution.lcpElement.value} (${attribution.lcpElement.count}/${result.runs} runs)`
+        );
+        console.log(
+          `    TTFB ${formatNumber(
+            lcp.timeToFirstByte?.mean,
+            0,
+            "ms"
+          )} · load delay ${formatNumber(
+            lcp.resourceLoadDelay?.mean,
+            0,
+            "ms"
+          )} · load ${formatNumber(
+            lcp.resourceLoadDuration?.mean,
+            0,
+            "ms"
+          )} · render delay ${formatNumber(
+            lcp.elementRenderDelay?.mean,
+            0,
+            "ms"
+          )}`
+        );
+      }
+      if (attribution?.slowestInteraction) {
+        const inp = attribution.inp;
+        console.log(
+          `  Slowest interaction: ${attribution.slowestInteraction.type} on ${
+            attribution.slowestInteraction.target
+          } (${formatNumber(attribution.slowestInteraction.value, 0, "ms")})`
+        );
+        console.log(
+          `    input delay ${formatNumber(
+            inp.inputDelay?.mean,
+            0,
+            "ms"
+          )} · processing ${formatNumber(
+            inp.processingDuration?.mean,
+            0,
+            "ms"
+          )} · presentation ${formatNumber(
+            inp.presentationDelay?.mean,
+            0,
+            "ms"
+          )}`
+        );
+      }
+      if (attribution?.largestShiftTarget) {
+        console.log(
+          `  Largest layout shift: ${attribution.largestShiftTarget.value}`
+        );
+      }
+    }
+
     // Bundle optimization opportunities
     if (result.lighthouse?.opportunities) {
       console.log(`\n${chalk.bold("Bundle Optimization Opportunities:")}`);
@@ -417,6 +1186,314 @@ function displayAnalysis(analysis, comparison) {
       }
     }
 
+    // Document request phases
+    const phases = result.navigationTiming;
+    if (phases?.request) {
+      console.log(`\n${chalk.bold("Document Request Phases:")}`);
+      const phaseNames = {
+        redirect: "Redirect",
+        dns: "DNS Lookup",
+        tcp: "TCP Connect",
+        tls: "TLS Handshake",
+        request: "Request (waiting for first byte)",
+        response: "Response Download",
+      };
+
+      for (const [field, name] of Object.entries(phaseNames)) {
+        if (phases[field]?.mean !== undefined) {
+          console.log(
+            `  ${name}: ${formatNumber(phases[field].mean, 1, "ms")}`
+          );
+        }
+      }
+      if (phases.transferSize?.mean !== undefined) {
+        console.log(
+          `  Document Transfer Size: ${formatBytes(phases.transferSize.mean)}`
+        );
+      }
+    }
+
+    // Where the server (or the client-side loader) spends its time
+    const serverTiming = result.serverTiming;
+    if (serverTiming) {
+      console.log(
+        `\n${chalk.bold(
+          serverTiming.source === "server"
+            ? "Server Timing:"
+            : "Loader Timing (client, User Timing):"
+        )}`
+      );
+      for (const [phase, stats] of Object.entries(serverTiming.phases)) {
+        console.log(`  ${phase}: ${formatNumber(stats.mean, 1, "ms")}`);
+      }
+      if (serverTiming.ttfb) {
+        console.log(
+          `  TTFB split: data ${formatNumber(
+            serverTiming.ttfb.data?.mean,
+            0,
+            "ms"
+          )} · render ${formatNumber(
+            serverTiming.ttfb.render?.mean,
+            0,
+            "ms"
+          )} · network/other ${formatNumber(
+            serverTiming.ttfb.other?.mean,
+            0,
+            "ms"
+          )}`
+        );
+      }
+    }
+
+    // Requests per resource type
+    if (result.resources && Object.keys(result.resources).length > 0) {
+      console.log(`\n${chalk.bold("Resources:")}`);
+      for (const [type, summary] of Object.entries(result.resources)) {
+        console.log(
+          `  ${type}: ${formatNumber(
+            summary.count?.mean,
+            0
+          )} requests, ${formatBytes(
+            summary.transferSize?.mean
+          )} transferred, ${formatBytes(summary.decodedBodySize?.mean)} decoded`
+        );
+      }
+    }
+
+    // Client-side navigation timing
+    const nav = result.navigation;
+    if (nav?.urlChange || nav?.loaderData || nav?.contentPainted) {
+      console.log(`\n${chalk.bold("Client-side Navigation:")}`);
+
+      if (nav.urlChange?.mean !== undefined) {
+        console.log(
+          `  Time to URL Change: ${formatNumber(nav.urlChange.mean, 0, "ms")}`
+        );
+      }
+      if (nav.loaderData?.mean !== undefined) {
+        console.log(
+          `  Time to Loader Data: ${formatNumber(nav.loaderData.mean, 0, "ms")}`
+        );
+      }
+      if (nav.contentPainted?.mean !== undefined) {
+        console.log(
+          `  Time to Content Painted: ${formatNumber(
+            nav.contentPainted.mean,
+            0,
+            "ms"
+          )}`
+        );
+      }
+      if (nav.prefetchedRuns > 0) {
+        log.warn(
+          `Route data was prefetched before the click in ${nav.prefetchedRuns} of ${result.runs} runs (warm transition)`
+        );
+        for (const state of ["cold", "warm"]) {
+          if (nav[state].contentPainted?.mean === undefined) continue;
+          console.log(
+            `  Time to Content Painted (${state}): ${formatNumber(
+              nav[state].contentPainted.mean,
+              0,
+              "ms"
+            )} (n=${nav[state].contentPainted.count})`
+          );
+        }
+      }
+    }
+
+    // Document delivery over HTTP
+    const documentStream = result.documentStream;
+    if (documentStream) {
+      console.log(`\n${chalk.bold("Document Stream (HTTP):")}`);
+      for (const [agent, stream] of Object.entries(documentStream)) {
+        console.log(
+          `  ${
+            agent === "bot" ? "Bot UA" : "Browser UA"
+          }: first byte ${formatNumber(
+            stream.firstByte?.mean,
+            0,
+            "ms"
+          )}, first chunk ${formatNumber(
+            stream.firstChunk?.mean,
+            0,
+            "ms"
+          )}, last byte ${formatNumber(
+            stream.lastByte?.mean,
+            0,
+            "ms"
+          )}, ${formatNumber(stream.chunks?.mean, 1)} chunks, ${formatBytes(
+            stream.bytes?.mean
+          )}`
+        );
+      }
+    }
+
+    // Hydration
+    const hydration = result.hydration;
+    if (hydration) {
+      console.log(
+        `\n${chalk.bold(
+          hydration.mode === "render" ? "First Client Render:" : "Hydration:"
+        )}`
+      );
+      if (hydration.duration) {
+        console.log(
+          `  Duration: ${formatDistribution(hydration.duration, 0, "ms")}`
+        );
+      }
+      console.log(
+        `  Done at: ${formatNumber(hydration.end?.mean, 0, "ms")}${
+          hydration.source === "react-commit"
+            ? " (first React commit, no hydration marks)"
+            : ""
+        }`
+      );
+      if (hydration.interactiveAfterFcp) {
+        console.log(
+          `  Interactive after FCP: ${formatDistribution(
+            hydration.interactiveAfterFcp,
+            0,
+            "ms"
+          )}`
+        );
+      }
+    }
+
+    // Main-thread breakdown from the DevTools traces
+    const cpu = result.cpu;
+    if (cpu) {
+      console.log(`\n${chalk.bold("CPU Profile:")}`);
+      console.log(
+        `  Long tasks: ${formatNumber(
+          cpu.longTasks.count.mean,
+          1
+        )} per load, ${formatNumber(
+          cpu.longTasks.total.mean,
+          0,
+          "ms"
+        )} total, longest ${formatNumber(cpu.longTasks.longest.mean, 0, "ms")}`
+      );
+      console.log(
+        `  Script: ${formatNumber(
+          cpu.categories.scriptEvaluation?.mean,
+          0,
+          "ms"
+        )} evaluation, ${formatNumber(
+          cpu.categories.scriptExecution?.mean,
+          0,
+          "ms"
+        )} execution (framework ${formatNumber(
+          cpu.bundles.framework?.mean,
+          0,
+          "ms"
+        )}, app ${formatNumber(cpu.bundles.app?.mean, 0, "ms")})`
+      );
+      console.log(
+        `  Style & layout: ${formatNumber(
+          cpu.categories.styleLayout?.mean,
+          0,
+          "ms"
+        )}, paint: ${formatNumber(cpu.categories.paint?.mean, 0, "ms")}`
+      );
+      if (cpu.hydration.firstCommit) {
+        console.log(
+          `  Hydration: first React commit at ${formatNumber(
+            cpu.hydration.firstCommit.mean,
+            0,
+            "ms"
+          )}, ${formatNumber(
+            cpu.hydration.scripting.mean,
+            0,
+            "ms"
+          )} of script before it`
+        );
+      }
+      console.log(`  Traces: ${path.dirname(cpu.traces[0])}`);
+    }
+
+    // JS heap and DOM size
+    const memory = result.memory;
+    if (memory) {
+      console.log(`\n${chalk.bold("Memory:")}`);
+      console.log(
+        `  After load: ${formatBytes(
+          memory.route.jsHeapUsed?.mean
+        )} JS heap, ${formatNumber(
+          memory.route.domNodes?.mean,
+          0
+        )} DOM nodes, ${formatNumber(
+          memory.route.listeners?.mean,
+          0
+        )} listeners`
+      );
+
+      if (memory.retained) {
+        console.log(
+          `  Retained after a round trip: ${formatBytes(
+            memory.retained.jsHeapUsed?.mean
+          )} JS heap, ${formatNumber(
+            memory.retained.domNodes?.mean,
+            0
+          )} DOM nodes, ${formatNumber(
+            memory.retained.listeners?.mean,
+            0
+          )} listeners, ${formatNumber(
+            memory.cycle.detachedNodes?.mean,
+            0
+          )} detached nodes`
+        );
+        for (const leak of memory.leaks || []) {
+          log.warn(
+            `Possible leak: median ${leak.metric} grows by ${
+              leak.metric === "jsHeapUsed"
+                ? formatBytes(leak.median)
+                : formatNumber(leak.median, 1)
+            } per round trip (threshold ${
+              leak.metric === "jsHeapUsed"
+                ? formatBytes(leak.threshold)
+                : leak.threshold
+            })`
+          );
+        }
+      }
+    }
+
+    // Lighthouse user flow over the same transition
+    const flow = result.flow;
+    if (flow) {
+      console.log(`\n${chalk.bold("Lighthouse User Flow:")}`);
+      console.log(
+        `  Cold load: score ${formatNumber(
+          flow.navigation.performance?.mean,
+          1
+        )}, LCP ${formatNumber(
+          flow.navigation.lcp?.mean,
+          0,
+          "ms"
+        )}, TBT ${formatNumber(flow.navigation.tbt?.mean, 0, "ms")}`
+      );
+      console.log(
+        `  Transition: INP ${formatNumber(
+          flow.timespan.inp?.mean,
+          0,
+          "ms"
+        )}, TBT ${formatNumber(
+          flow.timespan.tbt?.mean,
+          0,
+          "ms"
+        )}, CLS ${formatNumber(flow.timespan.cls?.mean, 3)}`
+      );
+      console.log(
+        `  Snapshot: ${formatNumber(
+          flow.snapshot.domSize?.mean,
+          0
+        )} DOM elements`
+      );
+      if (flow.reports.length > 0) {
+        console.log(`  Report: ${flow.reports[0]}`);
+      }
+    }
+
     console.log("");
   }
 
@@ -424,12 +1501,12 @@ function displayAnalysis(analysis, comparison) {
   if (Object.keys(comparison).length > 0) {
     log.header("ROUTER COMPARISON");
 
-    for (const [route, comp] of Object.entries(comparison)) {
-      log.subheader(`${route.toUpperCase()} Route Comparison`);
+    for (const comp of Object.values(comparison)) {
+      log.subheader(`${formatScope(comp)} Comparison`);
 
       // Create comparison table
       const apps = Object.keys(comp).filter(
-        (app) => app !== "improvements" && app !== "route"
+        (app) => !COMPARISON_FIELDS.includes(app)
       );
       const headers = [
         "Metric",
@@ -480,10 +1557,203 @@ function displayAnalysis(analysis, comparison) {
         }
       }
 
+      // web-vitals metrics not covered by Lighthouse
+      const webVitalsToShow = [
+        { key: "ttfb", name: "Time to First Byte (ms)" },
+        { key: "inp", name: "Interaction to Next Paint (ms)" },
+      ];
+
+      for (const metric of webVitalsToShow) {
+        const hasData = apps.some(
+          (app) => comp[app]?.webVitals?.[metric.key]?.mean !== undefined
+        );
+
+        if (hasData) {
+          const row = [metric.name];
+          for (const app of apps) {
+            const value = comp[app]?.webVitals?.[metric.key]?.mean;
+            row.push(value !== undefined ? formatNumber(value, 0) : "N/A");
+          }
+          tableData.push(row);
+        }
+      }
+
+      // TTFB split from Server-Timing
+      const ttfbSplitToShow = [
+        { key: "data", name: "TTFB: Data (ms)" },
+        { key: "render", name: "TTFB: Render (ms)" },
+      ];
+
+      for (const metric of ttfbSplitToShow) {
+        const hasData = apps.some(
+          (app) =>
+            comp[app]?.serverTiming?.ttfb?.[metric.key]?.mean !== undefined
+        );
+
+        if (hasData) {
+          const row = [metric.name];
+          for (const app of apps) {
+            const value = comp[app]?.serverTiming?.ttfb?.[metric.key]?.mean;
+            row.push(value !== undefined ? formatNumber(value, 0) : "N/A");
+          }
+          tableData.push(row);
+        }
+      }
+
+      // Client-side navigation
+      const navigationToShow = [
+        { key: "urlChange", name: "Nav: URL Change (ms)" },
+        { key: "loaderData", name: "Nav: Loader Data (ms)" },
+        { key: "contentPainted", name: "Nav: Content Painted (ms)" },
+      ];
+
+      for (const metric of navigationToShow) {
+        const hasData = apps.some(
+          (app) => comp[app]?.navigation?.[metric.key]?.mean !== undefined
+        );
+
+        if (hasData) {
+          const row = [metric.name];
+          for (const app of apps) {
+            const value = comp[app]?.navigation?.[metric.key]?.mean;
+            row.push(value !== undefined ? formatNumber(value, 0) : "N/A");
+          }
+          tableData.push(row);
+        }
+      }
+
+      // Document delivery
+      const documentToShow = [
+        { agent: "browser", key: "firstChunk", name: "Doc: First Chunk (ms)" },
+        { agent: "browser", key: "lastByte", name: "Doc: Last Byte (ms)" },
+        { agent: "bot", key: "lastByte", name: "Doc (bot): Last Byte (ms)" },
+      ];
+
+      for (const metric of documentToShow) {
+        const hasData = apps.some(
+          (app) =>
+            comp[app]?.documentStream?.[metric.agent]?.[metric.key]?.mean !==
+            undefined
+        );
+
+        if (hasData) {
+          const row = [metric.name];
+          for (const app of apps) {
+            const value =
+              comp[app]?.documentStream?.[metric.agent]?.[metric.key]?.mean;
+            row.push(value !== undefined ? formatNumber(value, 0) : "N/A");
+          }
+          tableData.push(row);
+        }
+      }
+
+      // Hydration
+      const hydrationToShow = [
+        { key: "duration", name: "Hydration Duration (ms)" },
+        { key: "interactiveAfterFcp", name: "Interactive after FCP (ms)" },
+      ];
+
+      for (const metric of hydrationToShow) {
+        const hasData = apps.some(
+          (app) => comp[app]?.hydration?.[metric.key]?.mean !== undefined
+        );
+
+        if (hasData) {
+          const row = [metric.name];
+          for (const app of apps) {
+            const value = comp[app]?.hydration?.[metric.key]?.mean;
+            row.push(value !== undefined ? formatNumber(value, 0) : "N/A");
+          }
+          tableData.push(row);
+        }
+      }
+
+      // CPU profile
+      const cpuToShow = [
+        { name: "CPU: Long Tasks", value: (cpu) => cpu.longTasks.count?.mean },
+        {
+          name: "CPU: Framework Script (ms)",
+          value: (cpu) => cpu.bundles.framework?.mean,
+        },
+        { name: "CPU: App Script (ms)", value: (cpu) => cpu.bundles.app?.mean },
+        {
+          name: "CPU: Style & Layout (ms)",
+          value: (cpu) => cpu.categories.styleLayout?.mean,
+        },
+      ];
+
+      for (const metric of cpuToShow) {
+        const values = apps.map((app) =>
+          comp[app]?.cpu ? metric.value(comp[app].cpu) : undefined
+        );
+
+        if (values.some((value) => value !== undefined)) {
+          tableData.push([
+            metric.name,
+            ...values.map((value) => formatNumber(value, 0)),
+          ]);
+        }
+      }
+
+      // Memory
+      const memoryToShow = [
+        {
+          name: "Memory: JS Heap (MB)",
+          value: (memory) => memory.route.jsHeapUsed?.mean / 1024 / 1024,
+          decimals: 1,
+        },
+        {
+          name: "Memory: DOM Nodes",
+          value: (memory) => memory.route.domNodes?.mean,
+          decimals: 0,
+        },
+        {
+          name: "Memory: Retained (MB)",
+          value: (memory) => memory.retained?.jsHeapUsed?.mean / 1024 / 1024,
+          decimals: 2,
+        },
+      ];
+
+      for (const metric of memoryToShow) {
+        const values = apps.map((app) =>
+          comp[app]?.memory ? metric.value(comp[app].memory) : undefined
+        );
+
+        if (values.some((value) => value !== undefined && !isNaN(value))) {
+          tableData.push([
+            metric.name,
+            ...values.map((value) => formatNumber(value, metric.decimals)),
+          ]);
+        }
+      }
+
+      // Lighthouse user flow
+      const flowToShow = [
+        { step: "timespan", key: "inp", name: "Flow: Transition INP (ms)" },
+        { step: "timespan", key: "tbt", name: "Flow: Transition TBT (ms)" },
+        { step: "snapshot", key: "domSize", name: "Flow: DOM Elements" },
+      ];
+
+      for (const metric of flowToShow) {
+        const hasData = apps.some(
+          (app) =>
+            comp[app]?.flow?.[metric.step]?.[metric.key]?.mean !== undefined
+        );
+
+        if (hasData) {
+          const row = [metric.name];
+          for (const app of apps) {
+            const value = comp[app]?.flow?.[metric.step]?.[metric.key]?.mean;
+            row.push(value !== undefined ? formatNumber(value, 0) : "N/A");
+          }
+          tableData.push(row);
+        }
+      }
+
       const tableConfig = {
         header: {
           alignment: "center",
-          content: `${route.toUpperCase()} Route Performance Comparison`,
+          content: `${formatScope(comp)} Performance Comparison`,
         },
         columns: [
           { alignment: "left", width: 30 },
@@ -494,32 +1764,149 @@ function displayAnalysis(analysis, comparison) {
       };
 
       console.log(table(tableData, tableConfig));
+
+      displaySignificance(comp, comp.significance);
     }
 
     // Overall summary
     log.subheader("SUMMARY");
 
-    console.log("Performance comparison completed successfully.");
-    console.log(
-      "All three routers (React Router, TanStack Router, and Next.js) have been measured."
-    );
-    console.log("Based on the metrics above:");
-    console.log(
-      "• Next.js shows the fastest load times and best performance scores"
-    );
+    for (const comp of Object.values(comparison)) {
+      const summary = comp.summary;
+      if (!summary) continue;
+
+      console.log(`\n${chalk.bold(formatScope(comp))}`);
+      if (summary.underpowered) {
+        log.warn(
+          `Too few runs for significance at α = ${summary.alpha}: at least ${summary.minimumRuns} runs per app are needed (--runs)`
+        );
+      }
+      for (const conclusion of summary.conclusions) {
+        console.log(`• ${conclusion}`);
+      }
+
+      console.log(
+        summary.overallWinner
+          ? chalk.green(
+              `\nOverall: ${summary.overallWinner} leads with ${
+                summary.wins[summary.overallWinner]
+              } significant metric win(s)`
+            )
+          : chalk.yellow(
+              "\nOverall: no router is significantly ahead on this route"
+            )
+      );
+    }
+
     console.log(
-      "• TanStack Router demonstrates good performance with fast navigation"
+      "\nWinners are only declared when the Mann-Whitney U test is significant against every other app."
     );
-    console.log("• React Router provides solid baseline performance");
+  }
+}
+
+// Mean of each metric per route, profile and app (only for profile matrices)
+function generateProfileBreakdown(analysis) {
+  const entries = Object.values(analysis).filter(
+    (entry) => entry.profile && !entry.error
+  );
+  const profiles = [...new Set(entries.map((entry) => entry.profile))];
+  if (profiles.length < 2) return null;
+
+  const breakdown = {};
+  for (const route of new Set(entries.map((entry) => entry.route))) {
+    const routeEntries = entries.filter((entry) => entry.route === route);
+    const apps = [...new Set(routeEntries.map((entry) => entry.app))];
+
+    breakdown[route] = {
+      profiles: profiles.filter((profile) =>
+        routeEntries.some((entry) => entry.profile === profile)
+      ),
+      apps,
+      metrics: SUMMARY_METRICS.map((metric) => ({
+        name: metric.name,
+        unit: metric.unit,
+        decimals: metric.decimals,
+        values: Object.fromEntries(
+          profiles.map((profile) => [
+            profile,
+            Object.fromEntries(
+              apps.map((app) => {
+                const entry = routeEntries.find(
+                  (e) => e.app === app && e.profile === profile
+                );
+                return [app, entry ? metric.stats(entry)?.mean ?? null : null];
+              })
+            ),
+          ])
+        ),
+      })),
+    };
+  }
+
+  return breakdown;
+}
+
+// Display each metric per profile per app
+function displayProfileBreakdown(breakdown) {
+  log.header("PROFILE BREAKDOWN");
+
+  for (const [route, { profiles, apps, metrics }] of Object.entries(
+    breakdown
+  )) {
+    const tableData = [["Metric", "Profile", ...apps]];
+
+    for (const metric of metrics) {
+      profiles.forEach((profile, index) => {
+        tableData.push([
+          index === 0 ? metric.name : "",
+          profile,
+          ...apps.map((app) =>
+            formatNumber(
+              metric.values[profile][app],
+              metric.decimals,
+              metric.unit
+            )
+          ),
+        ]);
+      });
+    }
+
     console.log(
-      "\nSee the detailed metrics in the table above for specific comparisons."
+      table(tableData, {
+        header: {
+          alignment: "center",
+          content: `${route.toUpperCase()} Route by Profile`,
+        },
+        drawHorizontalLine: (index, size) =>
+          index <= 2 || index === size || (index - 2) % profiles.length === 0,
+      })
     );
   }
 }
 
+// The terminal tables; the other reporters write files
+const consoleReporter = {
+  name: "console",
+  render(data) {
+    displayAnalysis(data.analysis, data.comparison);
+    if (data.profiles) {
+      displayProfileBreakdown(data.profiles);
+    }
+    return null;
+  },
+};
+
+const REPORTERS = { console: consoleReporter, ...BUILTIN_REPORTERS };
+
 // Main analysis function
-async function analyzeResults(filePath) {
+async function analyzeResults(filePath, options = {}) {
   try {
+    const reporters = await Promise.all(
+      (options.reporters || ["console"]).map((name) =>
+        loadReporter(name, REPORTERS)
+      )
+    );
+
     log.info(`Loading results from: ${filePath}`);
     const data = await loadResults(filePath);
 
@@ -534,32 +1921,70 @@ async function analyzeResults(filePath) {
     log.info(
       `Puppeteer version: ${data.metadata?.puppeteerVersion || "Unknown"}`
     );
+    log.info(`Chrome version: ${data.metadata?.chromeVersion || "Unknown"}`);
+    log.info(`Node.js version: ${data.metadata?.nodeVersion || "Unknown"}`);
+    for (const [app, versions] of Object.entries(
+      data.metadata?.frameworkVersions || {}
+    )) {
+      log.info(
+        `${app}: ${Object.entries(versions)
+          .map(([name, version]) => `${name}@${version}`)
+          .join(", ")}`
+      );
+    }
 
     // Group and analyze results
     const grouped = groupResults(data.results);
-    const analysis = analyzeGroupedResults(grouped);
-    const comparison = generateComparison(analysis);
+    const runOptions = {
+      outliers: options.outliers,
+      outlierMethod: options.outlierMethod,
+    };
+    const analysis = analyzeGroupedResults(grouped, runOptions);
+    const comparison = generateComparison(analysis, grouped, {
+      alpha: options.alpha,
+      ...runOptions,
+    });
 
-    // Display results
-    displayAnalysis(analysis, comparison);
+    const profiles = generateProfileBreakdown(analysis);
 
     // Save analysis (fixed filename to keep only latest)
     const analysisFile = path.join(
       path.dirname(filePath),
       "benchmark-analysis.json"
     );
-    await fs.writeJson(
-      analysisFile,
-      {
-        metadata: data.metadata,
-        analysis,
-        comparison,
-        timestamp: new Date().toISOString(),
-      },
-      { spaces: 2 }
-    );
+    const analysisData = {
+      metadata: data.metadata,
+      analysis,
+      comparison,
+      ...(profiles ? { profiles } : {}),
+      timestamp: new Date().toISOString(),
+    };
+    await fs.writeJson(analysisFile, analysisData, { spaces: 2 });
+
+    // Run the selected reporters; file outputs go next to the results
+    for (const reporter of reporters) {
+      const output = await reporter.render(analysisData);
+      if (!reporter.fileName) {
+        if (output) process.stdout.write(output);
+        continue;
+      }
+
+      const reportFile = path.join(
+        options.reporterOutput || path.dirname(filePath),
+        reporter.fileName
+      );
+      await fs.ensureDir(path.dirname(reportFile));
+      await fs.writeFile(reportFile, output);
+      log.success(`${reporter.name} report written to: ${reportFile}`);
+    }
 
     log.success(`Analysis saved to: ${analysisFile}`);
+
+    // Keep a copy next to the archived run the results came from
+    const archivedAnalysis = await archiveAnalysis(filePath, analysisData);
+    if (archivedAnalysis) {
+      log.success(`Analysis archived to: ${archivedAnalysis}`);
+    }
     return analysisFile;
   } catch (error) {
     log.error(`Analysis failed: ${error.message}`);
@@ -574,6 +1999,36 @@ async function main() {
       type: "string",
       description: "Path to benchmark results file",
     })
+    .option("alpha", {
+      type: "number",
+      description: "Significance level for router comparisons",
+      default: 0.05,
+    })
+    .option("reporter", {
+      type: "array",
+      description: `Reporters to run: ${Object.keys(REPORTERS).join(
+        ", "
+      )} or a path to a reporter module`,
+      default: ["console"],
+    })
+    .option("reporter-output", {
+      type: "string",
+      description:
+        "Directory for file reporters (default: next to the results file)",
+    })
+    .option("outliers", {
+      type: "string",
+      description: "Keep or exclude outlier runs flagged by --outlier-method",
+      choices: ["keep", "exclude"],
+      default: "keep",
+    })
+    .option("outlier-method", {
+      type: "string",
+      description:
+        "Outlier detection: Tukey's IQR fences or modified z-score (MAD)",
+      choices: OUTLIER_METHODS,
+      default: "iqr",
+    })
     .help()
     .parseSync();
 
@@ -597,7 +2052,13 @@ async function main() {
       throw new Error(`File not found: ${filePath}`);
     }
 
-    await analyzeResults(filePath);
+    await analyzeResults(filePath, {
+      alpha: argv.alpha,
+      outliers: argv.outliers,
+      outlierMethod: argv.outlierMethod,
+      reporters: argv.reporter.map(String),
+      reporterOutput: argv.reporterOutput,
+    });
   } catch (error) {
     log.error(`Analysis failed: ${error.message}`);
     process.exit(1);
@@ -609,4 +2070,13 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-export { analyzeResults, loadResults, findLatestResults };
+export {
+  analyzeResults,
+  loadResults,
+  findLatestResults,
+  groupResults,
+  selectRuns,
+  analyzeGroupedResults,
+  generateProfileBreakdown,
+  SIGNIFICANCE_METRICS,
+};
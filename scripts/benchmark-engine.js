@@ -0,0 +1,1827 @@
+/**
+ * Benchmark measurement engine
+ * Runs Lighthouse and the Puppeteer collectors against any target (local
+ * preview servers, Cloudflare deployments, an arbitrary URL list) so every
+ * collector, option and fix applies to all environments
+ * Based on best practices from https://github.com/addyosmani/puppeteer-webperf
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import lighthouse, { startFlow } from "lighthouse";
+import * as chromeLauncher from "chrome-launcher";
+import puppeteer from "puppeteer";
+import chalk from "chalk";
+import http from "http";
+import https from "https";
+import { URL } from "url";
+import { spawn } from "child_process";
+import { createRequire } from "module";
+import {
+  lighthouseConfig,
+  lighthouseFlowConfig,
+  chromeFlags,
+  profiles,
+  DEFAULT_PROFILE,
+  resolveProfiles,
+} from "./lighthouse-config.js";
+import { collectRunMetadata } from "./run-metadata.js";
+import { archiveResults, createRunId } from "./history.js";
+import { coefficientOfVariation } from "./statistics.js";
+import { analyzeTrace, FIRST_COMMIT_MARK } from "./trace-analysis.js";
+
+// Utility functions
+const log = {
+  info: (msg) => console.log(chalk.blue("ℹ"), msg),
+  success: (msg) => console.log(chalk.green("✓"), msg),
+  error: (msg) => console.log(chalk.red("✗"), msg),
+  warn: (msg) => console.log(chalk.yellow("⚠"), msg),
+  header: (msg) =>
+    console.log(
+      chalk.bold.cyan(
+        "\n" + "=".repeat(50) + "\n" + msg + "\n" + "=".repeat(50)
+      )
+    ),
+};
+
+// Sleep utility
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The web-vitals attribution build, injected into pages as a classic script
+const require = createRequire(import.meta.url);
+const WEB_VITALS_SCRIPT = path.join(
+  path.dirname(require.resolve("web-vitals/attribution")),
+  "web-vitals.attribution.iife.js"
+);
+
+// User agents for the document stream: a regular browser, and a crawler
+// that streaming SSR apps (React Router's isbot check) answer fully buffered
+const DOCUMENT_USER_AGENTS = {
+  browser: lighthouseConfig.settings.emulatedUserAgent,
+  bot: "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)",
+};
+
+// Interactions that drive INP when a route does not define its own; they
+// target non-link elements so the page does not navigate away
+const DEFAULT_INTERACTIONS = [
+  { type: "click", selector: "h1" },
+  { type: "press", key: "Tab" },
+  { type: "click", selector: "body" },
+];
+
+// Adaptive mode: after the configured runs, keep adding runs until the
+// coefficient of variation of every ADAPTIVE_METRICS value is at most
+// targetCV, or maxRuns is reached
+const DEFAULT_ADAPTIVE = { enabled: false, targetCV: 0.05, maxRuns: 15 };
+
+const ADAPTIVE_METRICS = {
+  fcp: (result) => result.lighthouse?.metrics?.fcp,
+  lcp: (result) => result.lighthouse?.metrics?.lcp,
+  loadComplete: (result) =>
+    result.pagePerformance?.performanceTiming?.loadComplete,
+};
+
+// The adaptive metric with the highest coefficient of variation
+function noisiestMetric(results) {
+  let noisiest = { metric: null, cv: 0 };
+  for (const [metric, extract] of Object.entries(ADAPTIVE_METRICS)) {
+    const values = results
+      .filter((result) => !result.error)
+      .map(extract)
+      .filter((v) => typeof v === "number" && !isNaN(v));
+    const cv = coefficientOfVariation(values);
+    if (cv > noisiest.cv) {
+      noisiest = { metric, cv };
+    }
+  }
+  return noisiest;
+}
+
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Check if server is running
+async function checkServerHealth(url, maxRetries = 30) {
+  for (let i = 0; i < maxRetries; i++) {
+    try {
+      const parsedUrl = new URL(url);
+      const client = parsedUrl.protocol === "https:" ? https : http;
+
+      const response = await new Promise((resolve, reject) => {
+        const req = client.get(url, (res) => {
+          resolve(res);
+        });
+        req.on("error", reject);
+        req.setTimeout(5000, () => {
+          req.destroy();
+          reject(new Error("Timeout"));
+        });
+      });
+
+      if (response.statusCode >= 200 && response.statusCode < 400) {
+        return true;
+      }
+    } catch (error) {
+      // Server not ready yet
+      console.log(`Attempt ${i + 1}: ${error.message}`);
+    }
+    await sleep(1000);
+  }
+  return false;
+}
+
+// Launch Chrome for Lighthouse
+async function launchChrome(userDataDir = null, portOffset = 0) {
+  const chromeOptions = {
+    chromeFlags: [
+      ...chromeFlags,
+      ...(userDataDir ? [`--user-data-dir=${userDataDir}`] : []),
+      "--disable-features=VizDisplayCompositor", // Additional isolation
+      "--disable-shared-storage", // Prevent shared storage conflicts
+      "--disable-dev-shm-usage", // Prevent shared memory conflicts
+      "--no-zygote", // Disable zygote process for better isolation
+      `--remote-debugging-port=${9222 + portOffset}`, // Explicit port assignment
+    ],
+    logLevel: "error",
+    port: 9222 + portOffset, // Explicit port for chrome-launcher
+  };
+
+  return await chromeLauncher.launch(chromeOptions);
+}
+
+// Run Lighthouse audit in child process for parallel execution
+async function runLighthouseInChildProcess(
+  url,
+  chromePort,
+  isParallel = false,
+  settings = {}
+) {
+  return new Promise((resolve, reject) => {
+    const childProcess = spawn(
+      "node",
+      [
+        "--input-type=module",
+        "-e",
+        `
+        import lighthouse from 'lighthouse';
+        import { lighthouseConfig } from './scripts/lighthouse-config.js';
+        
+        const options = {
+          logLevel: "error",
+          output: "json",
+          onlyCategories: ["performance"],
+          port: ${chromePort},
+          settings: {
+            ...lighthouseConfig.settings,
+            ...${JSON.stringify(settings)},
+            ${
+              isParallel
+                ? `
+            maxWaitForLoad: 45000,
+            pauseAfterFcpMs: 5000,
+            pauseAfterLoadMs: 5000,
+            networkQuietThresholdMs: 5000,
+            cpuQuietThresholdMs: 5000,
+            skipAboutBlank: true,
+            disableStorageReset: false,
+            `
+                : ""
+            }
+          },
+        };
+        
+        try {
+          const runnerResult = await lighthouse(${JSON.stringify(
+            url
+          )}, options, lighthouseConfig);
+          if (runnerResult && runnerResult.lhr) {
+            console.log(JSON.stringify(runnerResult.lhr));
+          } else {
+            console.error('No results');
+            process.exit(1);
+          }
+        } catch (error) {
+          console.error(error.message);
+          process.exit(1);
+        }
+      `,
+      ],
+      {
+        cwd: process.cwd(),
+        stdio: ["pipe", "pipe", "pipe"],
+      }
+    );
+
+    let output = "";
+    let errorOutput = "";
+
+    childProcess.stdout.on("data", (data) => {
+      output += data.toString();
+    });
+
+    childProcess.stderr.on("data", (data) => {
+      errorOutput += data.toString();
+    });
+
+    childProcess.on("close", (code) => {
+      if (code === 0 && output.trim()) {
+        try {
+          const result = JSON.parse(output.trim());
+          resolve(result);
+        } catch (error) {
+          reject(
+            new Error(`Failed to parse Lighthouse output: ${error.message}`)
+          );
+        }
+      } else {
+        reject(new Error(`Lighthouse child process failed: ${errorOutput}`));
+      }
+    });
+
+    childProcess.on("error", (error) => {
+      reject(
+        new Error(`Failed to start Lighthouse child process: ${error.message}`)
+      );
+    });
+  });
+}
+
+// Run Lighthouse audit, with target-specific settings layered on top
+async function runLighthouseAudit(
+  url,
+  chrome,
+  { isParallel = false, settings = {} } = {}
+) {
+  try {
+    // Use child process for parallel execution to avoid performance mark conflicts
+    if (isParallel) {
+      log.info(`Running Lighthouse in child process for ${url}`);
+      return await runLighthouseInChildProcess(
+        url,
+        chrome.port,
+        true,
+        settings
+      );
+    }
+
+    // Use direct execution for sequential mode
+    const options = {
+      logLevel: "error",
+      output: "json",
+      onlyCategories: ["performance"],
+      port: chrome.port,
+      settings: { ...lighthouseConfig.settings, ...settings },
+    };
+
+    const runnerResult = await lighthouse(url, options, lighthouseConfig);
+
+    if (!runnerResult || !runnerResult.lhr) {
+      log.error(`Lighthouse audit returned no results for ${url}`);
+      return null;
+    }
+
+    return runnerResult.lhr;
+  } catch (error) {
+    log.error(`Lighthouse audit failed for ${url}: ${error.message}`);
+    return null;
+  }
+}
+
+// Fetch the HTML document over plain HTTP and time its delivery: headers
+// (TTFB), the first body chunk (the streamed shell), the last byte, and how
+// many reads it arrived in. Compression is disabled so chunks are HTML
+async function measureDocumentStream(url, userAgent, headers = {}) {
+  const parsedUrl = new URL(url);
+  const client = parsedUrl.protocol === "https:" ? https : http;
+  const start = performance.now();
+
+  return new Promise((resolve) => {
+    const req = client.get(
+      url,
+      {
+        // A new connection per request, so every user agent pays for the
+        // TCP/TLS handshake instead of reusing the previous fetch's socket
+        agent: false,
+        headers: {
+          Accept: "text/html",
+          "Accept-Encoding": "identity",
+          "User-Agent": userAgent,
+          ...headers,
+        },
+      },
+      (res) => {
+        const firstByte = performance.now() - start;
+        const chunks = [];
+
+        res.on("data", (chunk) => {
+          chunks.push({ time: performance.now() - start, bytes: chunk.length });
+        });
+        res.on("end", () => {
+          resolve({
+            status: res.statusCode,
+            transferEncoding: res.headers["transfer-encoding"] || null,
+            firstByte,
+            firstChunk: chunks[0]?.time ?? null,
+            lastByte: performance.now() - start,
+            chunks: chunks.length,
+            bytes: chunks.reduce((sum, chunk) => sum + chunk.bytes, 0),
+            // Arrival times, so shell and streamed boundaries can be told apart
+            timeline: chunks,
+          });
+        });
+        res.on("error", (error) => {
+          log.error(`Document stream failed for ${url}: ${error.message}`);
+          resolve(null);
+        });
+      }
+    );
+
+    req.on("error", (error) => {
+      log.error(`Document request failed for ${url}: ${error.message}`);
+      resolve(null);
+    });
+    req.setTimeout(30000, () => {
+      req.destroy(new Error("Timeout"));
+    });
+  });
+}
+
+// Apply a profile's viewport, user agent and throttling to a fresh page
+async function preparePage(page, profile) {
+  const emulation = profile?.puppeteer;
+  if (!emulation) {
+    await page.setViewport({ width: 1350, height: 940 });
+    return;
+  }
+
+  await page.setViewport(emulation.viewport);
+  if (emulation.userAgent) {
+    await page.setUserAgent(emulation.userAgent);
+  }
+  if (emulation.cpuSlowdownMultiplier > 1) {
+    await page.emulateCPUThrottling(emulation.cpuSlowdownMultiplier);
+  }
+  if (emulation.network) {
+    await page.emulateNetworkConditions(emulation.network);
+  }
+}
+
+// Measure Core Web Vitals with the web-vitals library, including TTFB and
+// INP (from scripted interactions) and the attribution of each metric
+async function measureWebVitals(
+  url,
+  browser,
+  profile = null,
+  interactions = DEFAULT_INTERACTIONS
+) {
+  const page = await browser.newPage();
+
+  try {
+    // Set viewport and profile emulation
+    await preparePage(page, profile);
+
+    // Inject the web-vitals library and report every change of every metric
+    await page.evaluateOnNewDocument(
+      await fs.readFile(WEB_VITALS_SCRIPT, "utf8")
+    );
+    await page.evaluateOnNewDocument(() => {
+      window.__webVitals = {};
+      const record = (metric) => {
+        window.__webVitals[metric.name.toLowerCase()] = {
+          value: metric.value,
+          rating: metric.rating,
+          attribution: metric.attribution,
+        };
+      };
+      const options = { reportAllChanges: true };
+
+      webVitals.onFCP(record, options);
+      webVitals.onLCP(record, options);
+      webVitals.onCLS(record, options);
+      webVitals.onTTFB(record, options);
+      // Report even fast interactions, a benchmark page rarely exceeds 40ms
+      webVitals.onINP(record, { ...options, durationThreshold: 16 });
+    });
+
+    // Navigate to page
+    await page.goto(url, {
+      waitUntil: "networkidle0",
+      timeout: 30000,
+    });
+
+    // Wait for page to settle
+    await sleep(2000);
+
+    // Interact with the page so INP has input to measure
+    let interactionCount = 0;
+    for (const interaction of interactions) {
+      try {
+        if (interaction.type === "press") {
+          await page.keyboard.press(interaction.key);
+        } else {
+          await page.click(interaction.selector);
+        }
+        interactionCount++;
+        await sleep(300);
+      } catch (error) {
+        log.warn(
+          `Interaction ${interaction.type} ${
+            interaction.selector || interaction.key
+          } failed for ${url}: ${error.message}`
+        );
+      }
+    }
+
+    // Give the last interaction time to paint and be reported
+    await sleep(1000);
+
+    // Keep only the serializable parts of each metric's attribution
+    const metrics = await page.evaluate(() => {
+      const { fcp, lcp, cls, ttfb, inp } = window.__webVitals;
+      return {
+        fcp: fcp && {
+          ...fcp,
+          attribution: {
+            timeToFirstByte: fcp.attribution.timeToFirstByte,
+            firstByteToFCP: fcp.attribution.firstByteToFCP,
+            loadState: fcp.attribution.loadState,
+          },
+        },
+        lcp: lcp && {
+          ...lcp,
+          attribution: {
+            target: lcp.attribution.target,
+            url: lcp.attribution.url,
+            timeToFirstByte: lcp.attribution.timeToFirstByte,
+            resourceLoadDelay: lcp.attribution.resourceLoadDelay,
+            resourceLoadDuration: lcp.attribution.resourceLoadDuration,
+            elementRenderDelay: lcp.attribution.elementRenderDelay,
+          },
+        },
+        cls: cls && {
+          ...cls,
+          attribution: {
+            largestShiftTarget: cls.attribution.largestShiftTarget,
+            largestShiftValue: cls.attribution.largestShiftValue,
+            largestShiftTime: cls.attribution.largestShiftTime,
+            loadState: cls.attribution.loadState,
+          },
+        },
+        ttfb: ttfb && {
+          ...ttfb,
+          attribution: {
+            waitingDuration: ttfb.attribution.waitingDuration,
+            cacheDuration: ttfb.attribution.cacheDuration,
+            dnsDuration: ttfb.attribution.dnsDuration,
+            connectionDuration: ttfb.attribution.connectionDuration,
+            requestDuration: ttfb.attribution.requestDuration,
+          },
+        },
+        inp: inp && {
+          ...inp,
+          attribution: {
+            interactionTarget: inp.attribution.interactionTarget,
+            interactionType: inp.attribution.interactionType,
+            inputDelay: inp.attribution.inputDelay,
+            processingDuration: inp.attribution.processingDuration,
+            presentationDelay: inp.attribution.presentationDelay,
+            loadState: inp.attribution.loadState,
+          },
+        },
+      };
+    });
+
+    const names = ["fcp", "lcp", "cls", "ttfb", "inp"];
+    return {
+      ...Object.fromEntries(
+        names.map((name) => [name, metrics[name]?.value ?? null])
+      ),
+      ratings: Object.fromEntries(
+        names.map((name) => [name, metrics[name]?.rating ?? null])
+      ),
+      attribution: Object.fromEntries(
+        names.map((name) => [name, metrics[name]?.attribution ?? null])
+      ),
+      interactions: interactionCount,
+    };
+  } catch (error) {
+    log.error(`Web Vitals measurement failed for ${url}: ${error.message}`);
+    return null;
+  } finally {
+    await page.close();
+  }
+}
+
+// Measure page load timing from Navigation and Resource Timing Level 2
+async function measurePagePerformance(url, browser, profile = null) {
+  const page = await browser.newPage();
+
+  try {
+    await preparePage(page, profile);
+
+    // Navigate and wait for the load event so loadEventEnd is final
+    await page.goto(url, {
+      waitUntil: "load",
+      timeout: 30000,
+    });
+    await page.waitForFunction(
+      () => performance.getEntriesByType("navigation")[0]?.loadEventEnd > 0,
+      { timeout: 10000 }
+    );
+
+    // Let late requests (data fetches, lazy chunks) finish
+    await sleep(1000);
+
+    const timing = await page.evaluate(() => {
+      // Connection and transfer phases shared by navigation and resources
+      const phases = (entry) => {
+        const tlsStart = entry.secureConnectionStart || entry.connectEnd;
+        return {
+          startTime: entry.startTime,
+          duration: entry.duration,
+          redirect: entry.redirectEnd - entry.redirectStart,
+          dns: entry.domainLookupEnd - entry.domainLookupStart,
+          tcp: tlsStart - entry.connectStart,
+          tls: entry.connectEnd - tlsStart,
+          request: entry.responseStart - entry.requestStart,
+          response: entry.responseEnd - entry.responseStart,
+          transferSize: entry.transferSize,
+          encodedBodySize: entry.encodedBodySize,
+          decodedBodySize: entry.decodedBodySize,
+          protocol: entry.nextHopProtocol,
+          serverTiming: (entry.serverTiming || []).map((metric) => ({
+            name: metric.name,
+            duration: metric.duration,
+            description: metric.description,
+          })),
+        };
+      };
+
+      // JS, CSS, document and data requests; everything else is "other"
+      const resourceType = (entry) => {
+        const path = new URL(entry.name).pathname;
+        if (["fetch", "xmlhttprequest", "beacon"].includes(entry.initiatorType))
+          return "data";
+        if (entry.initiatorType === "script" || /\.m?js$/.test(path))
+          return "script";
+        if (entry.initiatorType === "css" || /\.css$/.test(path))
+          return "stylesheet";
+        if (["iframe", "frame"].includes(entry.initiatorType))
+          return "document";
+        return "other";
+      };
+
+      const nav = performance.getEntriesByType("navigation")[0];
+      const resources = performance
+        .getEntriesByType("resource")
+        .map((entry) => ({
+          url: entry.name,
+          type: resourceType(entry),
+          initiatorType: entry.initiatorType,
+          ...phases(entry),
+        }));
+
+      return {
+        navigationTiming: {
+          type: nav.type,
+          ...phases(nav),
+          firstByte: nav.responseStart,
+          domInteractive: nav.domInteractive,
+          domContentLoaded: nav.domContentLoadedEventEnd,
+          loadComplete: nav.loadEventEnd,
+        },
+        resources: [
+          {
+            url: nav.name,
+            type: "document",
+            initiatorType: "navigation",
+            ...phases(nav),
+          },
+          ...resources,
+        ],
+        // Loader phases of client-rendered apps, recorded as User Timing
+        // measures since there is no server response to carry them
+        loaderTiming: performance
+          .getEntriesByType("measure")
+          .filter((measure) => measure.name.startsWith("loader:"))
+          .map((measure) => ({
+            name: measure.name.slice("loader:".length),
+            duration: measure.duration,
+          })),
+      };
+    });
+
+    const { navigationTiming, resources, loaderTiming } = timing;
+
+    // Request count and sizes per resource type
+    const resourceSummary = {};
+    for (const resource of resources) {
+      const summary = (resourceSummary[resource.type] = resourceSummary[
+        resource.type
+      ] || {
+        count: 0,
+        transferSize: 0,
+        encodedBodySize: 0,
+        decodedBodySize: 0,
+      });
+      summary.count++;
+      summary.transferSize += resource.transferSize;
+      summary.encodedBodySize += resource.encodedBodySize;
+      summary.decodedBodySize += resource.decodedBodySize;
+    }
+
+    return {
+      // Milestones relative to navigation start (kept under their old names)
+      performanceTiming: {
+        domContentLoaded: navigationTiming.domContentLoaded,
+        loadComplete: navigationTiming.loadComplete,
+        firstByte: navigationTiming.firstByte,
+        domInteractive: navigationTiming.domInteractive,
+      },
+      navigationTiming,
+      loaderTiming,
+      resourceSummary,
+      resources,
+    };
+  } catch (error) {
+    log.error(
+      `Page performance measurement failed for ${url}: ${error.message}`
+    );
+    return null;
+  } finally {
+    await page.close();
+  }
+}
+
+// Measure a client-side transition (e.g. Home → Posts) through the nav bar
+async function measureNavigation(url, navigation, browser, profile = null) {
+  const page = await browser.newPage();
+  const origin = new URL(url).origin;
+  const targetPath = new URL(url).pathname;
+
+  try {
+    await preparePage(page, profile);
+    await page.evaluateOnNewDocument(installReactCommitHook, FIRST_COMMIT_MARK);
+
+    // Record the exact moment the router commits the new URL
+    await page.evaluateOnNewDocument(() => {
+      window.__urlChanges = [];
+      for (const method of ["pushState", "replaceState"]) {
+        const original = history[method];
+        history[method] = function (...args) {
+          const result = original.apply(this, args);
+          window.__urlChanges.push({
+            path: location.pathname,
+            time: performance.now(),
+          });
+          return result;
+        };
+      }
+    });
+
+    // Don't wait for the network to go idle: by then any idle-time link
+    // prefetching has already warmed up the transition
+    await page.goto(`${origin}${navigation.from}`, {
+      waitUntil: "domcontentloaded",
+      timeout: 30000,
+    });
+
+    // Click as soon as React has hydrated (or first committed, on pages
+    // without the apps' marks)
+    await page
+      .waitForFunction(
+        (marks) =>
+          marks.some(
+            (name) => performance.getEntriesByName(name, "mark").length > 0
+          ),
+        { polling: "raf", timeout: 10000 },
+        [HYDRATION_END, FIRST_COMMIT_MARK]
+      )
+      .catch(() =>
+        log.warn(`No hydration mark on ${navigation.from}, clicking anyway`)
+      );
+
+    const timing = await page.evaluate(
+      ({ linkSelector, contentSelector, contentText, targetPath, timeout }) => {
+        return new Promise((resolve) => {
+          const link = document.querySelector(linkSelector);
+          if (!link) {
+            resolve({ error: `Link not found: ${linkSelector}` });
+            return;
+          }
+
+          // Requests for the target route made before the click (a Next.js
+          // RSC payload, a React Router .data file or a prefetch link) make
+          // this a warm transition
+          const prefetchRequests = performance
+            .getEntriesByType("resource")
+            .filter(
+              (entry) =>
+                ["fetch", "xmlhttprequest", "link"].includes(
+                  entry.initiatorType
+                ) &&
+                new URL(entry.name).pathname.replace(/\.data$/, "") ===
+                  targetPath
+            )
+            .map((entry) => entry.name);
+
+          const start = performance.now();
+          const dataRequests = [];
+
+          // Loader data arrives via fetch/XHR (API calls, .data, RSC payloads)
+          const collect = (entries) => {
+            for (const entry of entries) {
+              if (
+                ["fetch", "xmlhttprequest"].includes(entry.initiatorType) &&
+                entry.startTime >= start
+              ) {
+                dataRequests.push({
+                  url: entry.name,
+                  start: entry.startTime - start,
+                  end: entry.responseEnd - start,
+                });
+              }
+            }
+          };
+          const observer = new PerformanceObserver((list) =>
+            collect(list.getEntries())
+          );
+          observer.observe({ type: "resource" });
+
+          link.click();
+
+          const finish = (error) => {
+            collect(observer.takeRecords());
+            observer.disconnect();
+            const urlChange = window.__urlChanges.find(
+              (change) => change.time >= start && change.path === targetPath
+            );
+            resolve({
+              urlChange: urlChange ? urlChange.time - start : null,
+              loaderData:
+                dataRequests.length > 0
+                  ? Math.max(...dataRequests.map((request) => request.end))
+                  : null,
+              contentPainted: error ? null : performance.now() - start,
+              dataRequests,
+              prefetched: prefetchRequests.length > 0,
+              prefetchRequests,
+              ...(error ? { error } : {}),
+            });
+          };
+
+          const check = () => {
+            const content = [
+              ...document.querySelectorAll(contentSelector),
+            ].some((element) => element.textContent.includes(contentText));
+
+            if (content) {
+              // Wait for the frame containing the new content to be painted
+              requestAnimationFrame(() => setTimeout(() => finish(), 0));
+              return;
+            }
+
+            if (performance.now() - start > timeout) {
+              finish("Timed out waiting for content");
+              return;
+            }
+
+            requestAnimationFrame(check);
+          };
+
+          requestAnimationFrame(check);
+        });
+      },
+      {
+        linkSelector: navigation.linkSelector,
+        contentSelector: navigation.contentSelector,
+        contentText: navigation.contentText,
+        targetPath,
+        timeout: 30000,
+      }
+    );
+
+    if (timing.error) {
+      log.warn(`Navigation measurement incomplete for ${url}: ${timing.error}`);
+    }
+
+    return {
+      from: navigation.from,
+      to: targetPath,
+      ...timing,
+    };
+  } catch (error) {
+    // A full document load destroys the execution context mid-measurement
+    log.error(`Navigation measurement failed for ${url}: ${error.message}`);
+    return null;
+  } finally {
+    await page.close();
+  }
+}
+
+// Performance.getMetrics counters recorded by the memory collector
+const MEMORY_METRICS = {
+  JSHeapUsedSize: "jsHeapUsed",
+  JSHeapTotalSize: "jsHeapTotal",
+  Nodes: "domNodes",
+  JSEventListeners: "listeners",
+  Documents: "documents",
+};
+
+// Memory counters after a forced garbage collection, so only live objects
+// are counted
+async function readMemoryMetrics(session) {
+  await session.send("HeapProfiler.collectGarbage");
+  const { metrics } = await session.send("Performance.getMetrics");
+
+  const memory = {};
+  for (const { name, value } of metrics) {
+    if (MEMORY_METRICS[name]) {
+      memory[MEMORY_METRICS[name]] = value;
+    }
+  }
+  return memory;
+}
+
+// Count detached DOM nodes in a heap snapshot: nodes V8 marks as detached
+// (the detachedness field), or named "Detached …" by older Chrome builds
+async function countDetachedNodes(session) {
+  const chunks = [];
+  const onChunk = ({ chunk }) => chunks.push(chunk);
+  session.on("HeapProfiler.addHeapSnapshotChunk", onChunk);
+
+  try {
+    await session.send("HeapProfiler.takeHeapSnapshot", {
+      reportProgress: false,
+    });
+  } finally {
+    session.off("HeapProfiler.addHeapSnapshotChunk", onChunk);
+  }
+
+  const { snapshot, nodes, strings } = JSON.parse(chunks.join(""));
+  const fields = snapshot.meta.node_fields;
+  const nameIndex = fields.indexOf("name");
+  const detachednessIndex = fields.indexOf("detachedness");
+
+  let detached = 0;
+  for (let i = 0; i < nodes.length; i += fields.length) {
+    if (
+      detachednessIndex >= 0
+        ? nodes[i + detachednessIndex] === 2
+        : strings[nodes[i + nameIndex]].startsWith("Detached ")
+    ) {
+      detached++;
+    }
+  }
+  return detached;
+}
+
+// Round trips through the navigation per memory run: caches fill up on the
+// first one, so only what keeps growing on the later ones points at a leak
+const MEMORY_ROUND_TRIPS = 3;
+
+// Record JS heap, DOM nodes and listeners after loading the route and,
+// with a navigation entry, after round trips through it (e.g. Home → Posts
+// → Home). Whatever the first round trip leaves behind compared to the
+// first visit of the source page is reported as retained, and the average
+// increase over the later round trips as growth
+async function measureMemory(url, navigation, browser, profile = null) {
+  const page = await browser.newPage();
+
+  try {
+    await preparePage(page, profile);
+    const session = await page.createCDPSession();
+    await session.send("Performance.enable");
+    await session.send("HeapProfiler.enable");
+
+    await page.goto(url, { waitUntil: "networkidle0", timeout: 30000 });
+    await sleep(1000);
+    const memory = { route: await readMemoryMetrics(session) };
+
+    if (navigation) {
+      const origin = new URL(url).origin;
+      await page.goto(`${origin}${navigation.from}`, {
+        waitUntil: "networkidle0",
+        timeout: 30000,
+      });
+      await sleep(1000);
+      const baseline = await readMemoryMetrics(session);
+
+      const cycles = [];
+      for (let trip = 0; trip < MEMORY_ROUND_TRIPS; trip++) {
+        await page.click(navigation.linkSelector);
+        await page.waitForFunction(
+          (selector, text) =>
+            [...document.querySelectorAll(selector)].some((element) =>
+              element.textContent.includes(text)
+            ),
+          { polling: "raf", timeout: 30000 },
+          navigation.contentSelector,
+          navigation.contentText
+        );
+        await sleep(1000);
+
+        await page.evaluate(() => history.back());
+        await page.waitForFunction(
+          (path) => location.pathname === path,
+          { timeout: 30000 },
+          navigation.from
+        );
+        await sleep(1000);
+
+        const cycle = await readMemoryMetrics(session);
+        cycle.detachedNodes = await countDetachedNodes(session);
+        cycles.push(cycle);
+      }
+
+      const [cycle] = cycles;
+      const last = cycles[cycles.length - 1];
+      memory.baseline = baseline;
+      memory.cycle = cycle;
+      memory.cycles = cycles;
+      memory.retained = Object.fromEntries(
+        Object.keys(baseline).map((key) => [key, cycle[key] - baseline[key]])
+      );
+      memory.growth = Object.fromEntries(
+        Object.keys(cycle).map((key) => [
+          key,
+          (last[key] - cycle[key]) / (cycles.length - 1),
+        ])
+      );
+    }
+
+    return memory;
+  } catch (error) {
+    log.error(`Memory measurement failed for ${url}: ${error.message}`);
+    return null;
+  } finally {
+    await page.close();
+  }
+}
+
+// Trace categories for the CPU profile: main-thread tasks, script
+// evaluation and execution, user timing marks and the navigation start
+const TRACE_CATEGORIES = [
+  "devtools.timeline",
+  "disabled-by-default-devtools.timeline",
+  "v8.execute",
+  "v8",
+  "blink.user_timing",
+  "loading",
+];
+
+// Minimal React DevTools hook: React reports every commit to it, so the
+// first one marks the end of hydration (or of the first client render)
+function installReactCommitHook(markName) {
+  if (window.__REACT_DEVTOOLS_GLOBAL_HOOK__) return;
+
+  let committed = false;
+  window.__REACT_DEVTOOLS_GLOBAL_HOOK__ = {
+    renderers: new Map(),
+    supportsFiber: true,
+    isDisabled: false,
+    inject(renderer) {
+      const id = this.renderers.size + 1;
+      this.renderers.set(id, renderer);
+      return id;
+    },
+    onCommitFiberRoot() {
+      if (!committed) {
+        committed = true;
+        performance.mark(markName);
+      }
+    },
+    onCommitFiberUnmount() {},
+    onPostCommitFiberRoot() {},
+    checkDCE() {},
+  };
+}
+
+// Record a DevTools trace of the page load into traceFile and break the
+// main thread down into long tasks, work categories and bundle groups
+async function profileCpu(url, browser, traceFile, profile = null) {
+  const page = await browser.newPage();
+
+  try {
+    await preparePage(page, profile);
+    await page.evaluateOnNewDocument(installReactCommitHook, FIRST_COMMIT_MARK);
+
+    await fs.ensureDir(path.dirname(traceFile));
+    await page.tracing.start({ path: traceFile, categories: TRACE_CATEGORIES });
+    await page.goto(url, { waitUntil: "networkidle0", timeout: 30000 });
+    // Let hydration and late tasks finish inside the trace
+    await sleep(1000);
+    await page.tracing.stop();
+
+    const analysis = analyzeTrace(await fs.readJson(traceFile), {
+      origin: new URL(url).origin,
+    });
+    if (!analysis) {
+      log.warn(`No renderer main thread found in the trace of ${url}`);
+      return null;
+    }
+
+    return { trace: traceFile, ...analysis };
+  } catch (error) {
+    log.error(`CPU profiling failed for ${url}: ${error.message}`);
+    return null;
+  } finally {
+    await page.close();
+  }
+}
+
+// User timing marks set by each app around hydration (lib/hydration.ts)
+const HYDRATION_START = "hydration:start";
+const HYDRATION_END = "hydration:end";
+
+// Hydration timing relative to navigation start: from the apps' marks, or,
+// on pages without them, until React's first commit (stub DevTools hook).
+// interactiveAfterFcp is how long the painted page waits for React
+async function measureHydration(url, browser, profile = null) {
+  const page = await browser.newPage();
+
+  try {
+    await preparePage(page, profile);
+    await page.evaluateOnNewDocument(installReactCommitHook, FIRST_COMMIT_MARK);
+
+    await page.goto(url, { waitUntil: "networkidle0", timeout: 30000 });
+    await sleep(1000);
+
+    return await page.evaluate(
+      (startMark, endMark, commitMark) => {
+        const mark = (name) =>
+          performance.getEntriesByName(name, "mark")[0] || null;
+        const start = mark(startMark);
+        const end = mark(endMark) || mark(commitMark);
+        if (!end) return null;
+
+        const fcp =
+          performance.getEntriesByName("first-contentful-paint")[0]
+            ?.startTime ?? null;
+
+        return {
+          mode: start?.detail?.mode ?? null,
+          source: mark(endMark) ? "marks" : "react-commit",
+          start: start ? start.startTime : null,
+          end: end.startTime,
+          duration: start ? end.startTime - start.startTime : null,
+          fcp,
+          interactiveAfterFcp:
+            fcp === null ? null : Math.max(0, end.startTime - fcp),
+        };
+      },
+      HYDRATION_START,
+      HYDRATION_END,
+      FIRST_COMMIT_MARK
+    );
+  } catch (error) {
+    log.error(`Hydration measurement failed for ${url}: ${error.message}`);
+    return null;
+  } finally {
+    await page.close();
+  }
+}
+
+// Metrics kept from each step of a Lighthouse user flow
+function summarizeFlowStep(lhr) {
+  const audits = lhr.audits || {};
+  const value = (id) => audits[id]?.numericValue ?? null;
+
+  switch (lhr.gatherMode) {
+    case "navigation":
+      return {
+        performance: (lhr.categories?.performance?.score || 0) * 100,
+        fcp: value("first-contentful-paint"),
+        lcp: value("largest-contentful-paint"),
+        tbt: value("total-blocking-time"),
+        cls: value("cumulative-layout-shift"),
+        si: value("speed-index"),
+      };
+    case "timespan":
+      return {
+        inp: value("interaction-to-next-paint"),
+        tbt: value("total-blocking-time"),
+        cls: value("cumulative-layout-shift"),
+      };
+    default:
+      return { domSize: value("dom-size") };
+  }
+}
+
+// Lighthouse user flow over a client-side transition: a cold navigation to
+// the source page, a timespan around the click into this route (INP, TBT,
+// CLS) and a snapshot of the rendered route, optionally saved as one report
+async function runLighthouseFlow(
+  url,
+  navigation,
+  browser,
+  { profile = null, settings = {}, reportFile = null } = {}
+) {
+  const page = await browser.newPage();
+  const origin = new URL(url).origin;
+  const targetPath = new URL(url).pathname;
+
+  try {
+    await preparePage(page, profile);
+
+    const flow = await startFlow(page, {
+      name: `${navigation.from} → ${targetPath}`,
+      config: lighthouseFlowConfig,
+      flags: settings,
+    });
+
+    await flow.navigate(`${origin}${navigation.from}`, {
+      name: `Cold load of ${navigation.from}`,
+    });
+
+    await flow.startTimespan({ name: `Transition to ${targetPath}` });
+    await page.click(navigation.linkSelector);
+    await page.waitForFunction(
+      (selector, text) =>
+        [...document.querySelectorAll(selector)].some((element) =>
+          element.textContent.includes(text)
+        ),
+      { polling: "raf", timeout: 30000 },
+      navigation.contentSelector,
+      navigation.contentText
+    );
+    await flow.endTimespan();
+
+    await flow.snapshot({ name: `${targetPath} after navigation` });
+
+    const { steps } = await flow.createFlowResult();
+    const summary = Object.fromEntries(
+      steps.map((step) => [step.lhr.gatherMode, summarizeFlowStep(step.lhr)])
+    );
+
+    if (reportFile) {
+      await fs.ensureDir(path.dirname(reportFile));
+      await fs.writeFile(reportFile, await flow.generateReport());
+      summary.report = reportFile;
+    }
+
+    return summary;
+  } catch (error) {
+    log.error(`Lighthouse user flow failed for ${url}: ${error.message}`);
+    return null;
+  } finally {
+    await page.close();
+  }
+}
+
+// Run comprehensive performance test for a single URL
+async function runPerformanceTest({
+  url,
+  appName,
+  routeName,
+  chrome,
+  browser,
+  runIndex,
+  warmup = false,
+  isParallel = false,
+  navigation = null,
+  lighthouseFlow = false,
+  flowReportFile = null,
+  memory = false,
+  hydration = true,
+  botUserAgent = false,
+  cpuTraceFile = null,
+  interactions = DEFAULT_INTERACTIONS,
+  location = null,
+  profile = null,
+  lighthouseSettings = {},
+}) {
+  const variant = [profile?.name, location?.name].filter(Boolean).join(", ");
+  const label = `${appName}/${routeName}${variant ? ` (${variant})` : ""}`;
+  const run = `${warmup ? "warmup" : "test"} ${runIndex + 1}`;
+  log.info(`Running ${run} for ${label}`);
+
+  const results = {
+    app: appName,
+    route: routeName,
+    url: url,
+    timestamp: new Date().toISOString(),
+    runIndex: runIndex,
+    ...(warmup ? { warmup: true } : {}),
+    ...(profile ? { profile: profile.name } : {}),
+    ...(location ? { location: location.name } : {}),
+  };
+
+  try {
+    // Run Lighthouse audit
+    const lighthouseResult = await runLighthouseAudit(url, chrome, {
+      isParallel,
+      settings: {
+        ...profile?.lighthouse,
+        ...lighthouseSettings,
+        ...(location?.headers ? { extraHeaders: location.headers } : {}),
+      },
+    });
+    if (lighthouseResult) {
+      const performanceCategory = lighthouseResult.categories?.performance;
+      const audits = lighthouseResult.audits || {};
+
+      results.lighthouse = {
+        performance: (performanceCategory?.score || 0) * 100,
+        metrics: {
+          fcp: audits["first-contentful-paint"]?.numericValue,
+          lcp: audits["largest-contentful-paint"]?.numericValue,
+          cls: audits["cumulative-layout-shift"]?.numericValue,
+          tbt: audits["total-blocking-time"]?.numericValue,
+          si: audits["speed-index"]?.numericValue,
+          tti: audits["interactive"]?.numericValue,
+        },
+        opportunities: {
+          unusedJs:
+            audits["unused-javascript"]?.details?.overallSavingsBytes || 0,
+          unusedCss:
+            audits["unused-css-rules"]?.details?.overallSavingsBytes || 0,
+          unminifiedJs:
+            audits["unminified-javascript"]?.details?.overallSavingsBytes || 0,
+        },
+        diagnostics: {
+          bootupTime: audits["bootup-time"]?.numericValue,
+          // Main-thread time per work group (scriptEvaluation, styleLayout…)
+          mainThreadWork: Object.fromEntries(
+            (audits["mainthread-work-breakdown"]?.details?.items || []).map(
+              (item) => [item.group, item.duration]
+            )
+          ),
+        },
+      };
+    }
+
+    // Document delivery over HTTP, also as a crawler when requested
+    const documentStream = {};
+    for (const agent of botUserAgent ? ["browser", "bot"] : ["browser"]) {
+      const stream = await measureDocumentStream(
+        url,
+        DOCUMENT_USER_AGENTS[agent],
+        location?.headers
+      );
+      if (stream) {
+        documentStream[agent] = stream;
+      }
+    }
+    if (Object.keys(documentStream).length > 0) {
+      results.documentStream = documentStream;
+    }
+
+    // Measure Web Vitals with the web-vitals library
+    const webVitals = await measureWebVitals(
+      url,
+      browser,
+      profile,
+      interactions
+    );
+    if (webVitals) {
+      results.webVitals = webVitals;
+    }
+
+    // Measure basic page performance
+    const pagePerformance = await measurePagePerformance(url, browser, profile);
+    if (pagePerformance) {
+      results.pagePerformance = pagePerformance;
+    }
+
+    // Measure client-side navigation into this route
+    if (navigation) {
+      const navigationTiming = await measureNavigation(
+        url,
+        navigation,
+        browser,
+        profile
+      );
+      if (navigationTiming) {
+        results.navigation = navigationTiming;
+      }
+    }
+
+    // Hydration (or first client render) of the page
+    if (hydration) {
+      const hydrationTiming = await measureHydration(url, browser, profile);
+      if (hydrationTiming) {
+        results.hydration = hydrationTiming;
+      }
+    }
+
+    // DevTools trace of the page load
+    if (cpuTraceFile) {
+      const cpu = await profileCpu(url, browser, cpuTraceFile, profile);
+      if (cpu) {
+        results.cpu = cpu;
+      }
+    }
+
+    // JS heap and DOM size after load and after a round trip
+    if (memory) {
+      const memoryUsage = await measureMemory(
+        url,
+        navigation,
+        browser,
+        profile
+      );
+      if (memoryUsage) {
+        results.memory = memoryUsage;
+      }
+    }
+
+    // Lighthouse user flow over the same transition
+    if (navigation && lighthouseFlow) {
+      const flow = await runLighthouseFlow(url, navigation, browser, {
+        profile,
+        settings: {
+          ...profile?.lighthouse,
+          ...lighthouseSettings,
+          ...(location?.headers ? { extraHeaders: location.headers } : {}),
+        },
+        reportFile: flowReportFile,
+      });
+      if (flow) {
+        results.flow = flow;
+      }
+    }
+
+    log.success(`Completed ${run} for ${label}`);
+    return results;
+  } catch (error) {
+    log.error(`Test failed for ${label}: ${error.message}`);
+    return { ...results, error: error.message };
+  }
+}
+
+// Test a single app with all routes, for every profile and target location
+async function testSingleApp(app, target, chrome, browser, isParallel = false) {
+  const { config } = target;
+  const routes = app.routes || config.routes;
+  const locations = target.locations || [null];
+  const profiles = resolveProfiles(config.profiles);
+  const adaptive = { ...DEFAULT_ADAPTIVE, ...config.adaptive };
+
+  log.header(`Testing ${app.name.toUpperCase()} (${target.name})`);
+
+  // Check if server is running
+  log.info(`Checking if ${app.name} server is running on ${app.url}...`);
+  const isServerRunning = await checkServerHealth(app.url);
+
+  if (!isServerRunning) {
+    log.error(`Server for ${app.name} is not reachable at ${app.url}.`);
+    if (target.name === "local") {
+      log.error("Please start the preview server.");
+    }
+    return [];
+  }
+
+  log.success(`Server for ${app.name} is running`);
+
+  const appResults = [];
+
+  // Profile-major order keeps the browser's throttling state stable
+  for (const profile of profiles) {
+    if (profiles.length > 1) {
+      log.info(`Profile: ${profile.name} (${profile.description})`);
+    }
+
+    for (const route of routes) {
+      const testUrl = `${app.url}${route.path}`;
+      const navigation = config.navigation !== false ? route.navigation : null;
+      log.info(`Testing route: ${route.name} (${testUrl})`);
+
+      for (const location of locations) {
+        if (location) {
+          log.info(`Testing from ${location.name}...`);
+        }
+
+        const test = (runIndex, warmup = false) =>
+          runPerformanceTest({
+            url: testUrl,
+            appName: app.name,
+            routeName: route.name,
+            chrome,
+            browser,
+            runIndex,
+            warmup,
+            isParallel,
+            navigation,
+            lighthouseFlow: config.lighthouseFlow,
+            memory: config.memory,
+            hydration: config.hydration !== false,
+            botUserAgent: config.botUserAgent,
+            // Traces are kept for measurement runs only
+            cpuTraceFile:
+              config.profileCpu && !warmup
+                ? path.join(
+                    config.outputDir,
+                    "traces",
+                    `${[app.name, route.name, profile.name, location?.name]
+                      .filter(Boolean)
+                      .join("-")}-run${runIndex + 1}.json`
+                  )
+                : null,
+            // One flow report per app, route, profile and location
+            flowReportFile:
+              config.lighthouseFlow && !warmup && runIndex === 0
+                ? path.join(
+                    config.outputDir,
+                    "flows",
+                    `${[app.name, route.name, profile.name, location?.name]
+                      .filter(Boolean)
+                      .join("-")}.html`
+                  )
+                : null,
+            interactions: route.interactions,
+            location,
+            profile,
+            lighthouseSettings: target.lighthouseSettings,
+          });
+
+        // Warmup runs, kept apart from the measurements for the report
+        log.info("Running warmup...");
+        for (let i = 0; i < config.warmupRuns; i++) {
+          appResults.push(await test(i, true));
+          await sleep(config.waitTime);
+        }
+
+        // Measurement runs, extended while the results are too noisy in
+        // adaptive mode
+        log.info("Running measurements...");
+        const measured = [];
+        const maxRuns = adaptive.enabled
+          ? Math.max(config.runs, adaptive.maxRuns)
+          : config.runs;
+
+        for (let i = 0; i < maxRuns; i++) {
+          if (i >= config.runs) {
+            const { metric, cv } = noisiestMetric(measured);
+            if (cv <= adaptive.targetCV) break;
+            log.info(
+              `CV of ${metric} is ${formatPercent(cv)} (target ${formatPercent(
+                adaptive.targetCV
+              )}), adding run ${i + 1}`
+            );
+          }
+
+          if (i > 0) {
+            await sleep(config.waitTime);
+          }
+          measured.push(await test(i));
+        }
+
+        if (adaptive.enabled) {
+          const { metric, cv } = noisiestMetric(measured);
+          if (cv > adaptive.targetCV) {
+            log.warn(
+              `CV of ${metric} is still ${formatPercent(cv)} after ${
+                measured.length
+              } runs (max ${maxRuns})`
+            );
+          } else {
+            log.success(
+              `All CVs at most ${formatPercent(adaptive.targetCV)} after ${
+                measured.length
+              } runs`
+            );
+          }
+        }
+
+        appResults.push(...measured);
+      }
+    }
+  }
+
+  return appResults;
+}
+
+// Main benchmark function: measure every app of a target and save the run
+async function runBenchmark(target) {
+  if (!target?.config) {
+    throw new Error("A benchmark target with a config is required");
+  }
+
+  const { config } = target;
+  const { apps, runs } = config;
+
+  log.header(target.title);
+
+  // Ensure output directory exists
+  await fs.ensureDir(config.outputDir);
+
+  const allResults = [];
+  let chrome;
+  let browser;
+
+  try {
+    // Launch Chrome and Puppeteer
+    log.info("Launching Chrome for Lighthouse...");
+    try {
+      chrome = await launchChrome();
+      log.success("Chrome launched successfully");
+    } catch (error) {
+      log.error(`Failed to launch Chrome: ${error.message}`);
+      throw error;
+    }
+
+    log.info("Launching Puppeteer...");
+    try {
+      // Connect Puppeteer to the same Chrome instance
+      browser = await puppeteer.connect({
+        browserURL: `http://localhost:${chrome.port}`,
+      });
+      log.success("Puppeteer connected successfully");
+    } catch (error) {
+      log.error(`Failed to connect Puppeteer: ${error.message}`);
+      // Fallback: launch separate Puppeteer instance
+      try {
+        log.info("Trying to launch separate Puppeteer instance...");
+        browser = await puppeteer.launch({
+          headless: "new",
+          args: chromeFlags.filter(
+            (flag) => !flag.includes("--remote-debugging-port")
+          ),
+        });
+        log.success("Puppeteer launched separately");
+      } catch (fallbackError) {
+        log.error(
+          `Failed to launch Puppeteer fallback: ${fallbackError.message}`
+        );
+        throw fallbackError;
+      }
+    }
+
+    // Check if parallel execution is requested (default: true for performance)
+    // User flows run Lighthouse in-process, which parallel apps would share
+    const useParallel = config.parallel !== false && !config.lighthouseFlow;
+    if (config.parallel !== false && config.lighthouseFlow) {
+      log.warn("Lighthouse user flows run in-process, testing sequentially");
+    }
+
+    if (useParallel) {
+      log.header("Running tests in PARALLEL mode for faster execution");
+
+      // Create separate browser instances for each app to avoid conflicts
+      const browsers = [];
+      const chromes = [];
+
+      try {
+        // Launch Chrome instances for each app with isolated user data directories and ports
+        for (let i = 0; i < apps.length; i++) {
+          const userDataDir = `/tmp/chrome-${
+            apps[i].name
+          }-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+          log.info(
+            `Launching Chrome instance ${i + 1}/${apps.length} for ${
+              apps[i].name
+            }...`
+          );
+
+          // Sequential Chrome launches with proper port isolation
+          await sleep(2000); // Always wait to ensure clean separation
+
+          const appChrome = await launchChrome(userDataDir, i);
+          chromes.push(appChrome);
+
+          log.info(
+            `Chrome launched on port ${appChrome.port} for ${apps[i].name}`
+          );
+
+          const appBrowser = await puppeteer.connect({
+            browserURL: `http://localhost:${appChrome.port}`,
+            defaultViewport: null, // Prevent viewport conflicts
+          });
+          browsers.push(appBrowser);
+        }
+
+        log.success(
+          `Launched ${browsers.length} browser instances for parallel testing`
+        );
+
+        // Run tests for all apps in parallel
+        const appPromises = apps.map((app, index) =>
+          testSingleApp(app, target, chromes[index], browsers[index], true)
+        );
+
+        log.info("Waiting for all app tests to complete...");
+        const appResults = await Promise.all(appPromises);
+
+        // Flatten results from all apps
+        appResults.forEach((results) => {
+          allResults.push(...results);
+        });
+
+        // Clean up additional browsers and user data directories
+        await Promise.all(browsers.map((browser) => browser.close()));
+        await Promise.all(chromes.map((chrome) => chrome.kill()));
+
+        // Note: User data directories will be automatically cleaned up by OS
+      } catch (error) {
+        log.error(`Parallel execution failed: ${error.message}`);
+        // Clean up on error
+        await Promise.all(
+          browsers.map((browser) => browser.close().catch(() => {}))
+        );
+        await Promise.all(
+          chromes.map((chrome) => chrome.kill().catch(() => {}))
+        );
+
+        // Note: User data directories will be automatically cleaned up by OS
+
+        throw error;
+      }
+    } else {
+      log.header("Running tests in SEQUENTIAL mode");
+
+      // Sequential execution (original behavior)
+      for (const app of apps) {
+        const appResults = await testSingleApp(
+          app,
+          target,
+          chrome,
+          browser,
+          false
+        );
+        allResults.push(...appResults);
+      }
+    }
+
+    // Save latest results (fixed filename) and archive a copy of this run
+    const timestamp = new Date().toISOString();
+    const runMetadata = await collectRunMetadata(config, { browser });
+    const resultsFile = path.join(config.outputDir, target.resultsFile);
+    const resultsData = {
+      metadata: {
+        runId: createRunId(timestamp, runMetadata.gitSha),
+        timestamp,
+        target: target.name,
+        environment: target.environment,
+        config,
+        runs,
+        ...runMetadata,
+      },
+      results: allResults.filter((result) => !result.warmup),
+      warmups: allResults.filter((result) => result.warmup),
+    };
+    await fs.writeJson(resultsFile, resultsData, { spaces: 2 });
+    const archiveFile = await archiveResults(resultsFile, resultsData);
+
+    log.success(`Results saved to: ${resultsFile}`);
+    log.success(`Run archived to: ${archiveFile}`);
+    log.success(
+      `Total tests completed: ${resultsData.results.length} (+${resultsData.warmups.length} warmup)`
+    );
+
+    return resultsFile;
+  } catch (error) {
+    log.error(`Benchmark failed: ${error.message}`);
+    throw error;
+  } finally {
+    // Cleanup
+    if (chrome) {
+      await chrome.kill();
+    }
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
+
+// Command-line options shared by every benchmark entry point
+function addBenchmarkOptions(cli, config) {
+  return cli
+    .option("apps", {
+      type: "array",
+      description: `Apps to test (default: all of ${config.apps
+        .map((app) => app.name)
+        .join(", ")})`,
+    })
+    .option("routes", {
+      type: "array",
+      description: "Routes to test (default: all)",
+    })
+    .option("runs", {
+      type: "number",
+      description: "Number of measurement runs per test",
+      default: config.runs,
+    })
+    .option("warmup-runs", {
+      type: "number",
+      description:
+        "Number of warmup runs per test (excluded from the statistics)",
+      default: config.warmupRuns,
+    })
+    .option("adaptive", {
+      type: "boolean",
+      description:
+        "Add runs beyond --runs until the CV of FCP, LCP and load time is at most --target-cv",
+      default: config.adaptive?.enabled ?? DEFAULT_ADAPTIVE.enabled,
+    })
+    .option("target-cv", {
+      type: "number",
+      description: "Target coefficient of variation in adaptive mode",
+      default: config.adaptive?.targetCV ?? DEFAULT_ADAPTIVE.targetCV,
+    })
+    .option("max-runs", {
+      type: "number",
+      description: "Maximum measurement runs per test in adaptive mode",
+      default: config.adaptive?.maxRuns ?? DEFAULT_ADAPTIVE.maxRuns,
+    })
+    .option("parallel", {
+      type: "boolean",
+      description: "Test apps in parallel, one Chrome instance each",
+      default: config.parallel ?? false,
+    })
+    .option("navigation", {
+      type: "boolean",
+      description: "Measure client-side navigation into each route",
+      default: true,
+    })
+    .option("hydration", {
+      type: "boolean",
+      description: "Measure hydration duration and interactivity after FCP",
+      default: true,
+    })
+    .option("bot-ua", {
+      type: "boolean",
+      description:
+        "Also fetch each document with a crawler user agent (buffered instead of streamed SSR)",
+      default: config.botUserAgent ?? false,
+    })
+    .option("lighthouse-flow", {
+      type: "boolean",
+      description:
+        "Also run a Lighthouse user flow (navigation, timespan, snapshot) over each route's client-side navigation",
+      default: config.lighthouseFlow ?? false,
+    })
+    .option("profile-cpu", {
+      type: "boolean",
+      description:
+        "Also record a DevTools trace per run and break down long tasks, script, style/layout and hydration time",
+      default: config.profileCpu ?? false,
+    })
+    .option("memory", {
+      type: "boolean",
+      description:
+        "Also record JS heap, DOM nodes, listeners and detached nodes after load and after a navigation round trip",
+      default: config.memory ?? false,
+    })
+    .option("profile", {
+      type: "array",
+      description: `Device/network profiles to run as a matrix (${Object.keys(
+        profiles
+      ).join(", ")} or all)`,
+      default: config.profiles || [DEFAULT_PROFILE],
+    });
+}
+
+function filterRoutes(routes, names) {
+  return names ? routes.filter((route) => names.includes(route.name)) : routes;
+}
+
+// Apply the shared command-line options to a target config
+function applyBenchmarkOptions(config, argv) {
+  return {
+    ...config,
+    apps: (argv.apps
+      ? config.apps.filter((app) => argv.apps.includes(app.name))
+      : config.apps
+    ).map((app) =>
+      app.routes
+        ? { ...app, routes: filterRoutes(app.routes, argv.routes) }
+        : app
+    ),
+    routes: filterRoutes(config.routes, argv.routes),
+    runs: argv.runs,
+    warmupRuns: argv.warmupRuns,
+    adaptive: {
+      enabled: argv.adaptive,
+      targetCV: argv.targetCv,
+      maxRuns: argv.maxRuns,
+    },
+    parallel: argv.parallel,
+    navigation: argv.navigation,
+    hydration: argv.hydration,
+    botUserAgent: argv.botUa,
+    lighthouseFlow: argv.lighthouseFlow,
+    memory: argv.memory,
+    profileCpu: argv.profileCpu,
+    profiles: resolveProfiles(argv.profile).map((profile) => profile.name),
+  };
+}
+
+export {
+  runBenchmark,
+  runPerformanceTest,
+  runLighthouseAudit,
+  measureWebVitals,
+  measurePagePerformance,
+  measureNavigation,
+  runLighthouseFlow,
+  measureMemory,
+  measureHydration,
+  measureDocumentStream,
+  profileCpu,
+  preparePage,
+  checkServerHealth,
+  launchChrome,
+  addBenchmarkOptions,
+  applyBenchmarkOptions,
+};
@@ -0,0 +1,137 @@
+/**
+ * Benchmark targets
+ * A target tells the measurement engine what to measure (apps and routes),
+ * how (Lighthouse overrides, request locations) and where to save results
+ */
+
+import { getConfig } from "./config.js";
+
+// Local preview servers started by `pnpm run preview` / `pnpm run perf`
+function createLocalTarget(config = getConfig("local")) {
+  return {
+    name: "local",
+    title: "Router Performance Benchmark",
+    environment: "local",
+    resultsFile: "benchmark-results.json",
+    lighthouseSettings: {},
+    config,
+  };
+}
+
+// Deployed Cloudflare Workers, measured with edge-like throttling
+function createCloudflareTarget(config = getConfig("cloudflare")) {
+  const missing = config.apps.filter((app) => !app.url);
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing Cloudflare URLs for ${missing
+        .map((app) => app.name)
+        .join(", ")}. Run "pnpm run setup:config" or set them in .env`
+    );
+  }
+
+  return {
+    name: "cloudflare",
+    title: "Cloudflare Worker Performance Benchmark",
+    environment: "cloudflare-workers",
+    resultsFile: "cloudflare-benchmark-results.json",
+    lighthouseSettings: {},
+    // Each location is measured separately with its own request headers
+    locations: config.cloudflare.locations.map((location) => ({
+      name: location.name,
+      headers: { "CF-Ray": location.cfRay, "CF-IPCountry": "JP" },
+    })),
+    config: { parallel: false, ...config },
+  };
+}
+
+// Route name for an arbitrary URL path ("/" → "home", "/a/b" → "a-b")
+function routeNameFromPath(pathname) {
+  const segments = pathname.split("/").filter(Boolean);
+  return segments.length > 0 ? segments.join("-") : "home";
+}
+
+// Any list of page URLs; "name=https://…" groups URLs under an app name,
+// otherwise the hostname is used
+function createUrlListTarget(urls, baseConfig = getConfig("local")) {
+  if (!urls || urls.length === 0) {
+    throw new Error("The urls target needs at least one --url");
+  }
+
+  const apps = new Map();
+
+  for (const entry of urls) {
+    const separator = entry.indexOf("=");
+    const hasName = separator > 0 && !entry.slice(0, separator).includes(":");
+    const name = hasName ? entry.slice(0, separator) : null;
+
+    let parsed;
+    try {
+      parsed = new URL(hasName ? entry.slice(separator + 1) : entry);
+    } catch (error) {
+      throw new Error(`Invalid URL: ${entry}`);
+    }
+
+    const appName = name || parsed.hostname;
+    if (!apps.has(appName)) {
+      apps.set(appName, { name: appName, url: parsed.origin, routes: [] });
+    }
+
+    const app = apps.get(appName);
+    if (app.url !== parsed.origin) {
+      throw new Error(`All URLs of ${appName} must share one origin`);
+    }
+
+    const path = `${parsed.pathname}${parsed.search}`;
+    app.routes.push({ name: routeNameFromPath(parsed.pathname), path });
+  }
+
+  const allRoutes = [...apps.values()].flatMap((app) => app.routes);
+
+  return {
+    name: "urls",
+    title: "URL List Performance Benchmark",
+    environment: "urls",
+    resultsFile: "benchmark-results.json",
+    lighthouseSettings: {},
+    config: {
+      apps: [...apps.values()],
+      routes: allRoutes.filter(
+        (route, index) =>
+          allRoutes.findIndex((other) => other.name === route.name) === index
+      ),
+      warmupRuns: baseConfig.warmupRuns,
+      runs: baseConfig.runs,
+      adaptive: baseConfig.adaptive,
+      waitTime: baseConfig.waitTime,
+      profiles: baseConfig.profiles,
+      parallel: false,
+      outputDir: "./reports/urls",
+    },
+  };
+}
+
+const TARGETS = ["local", "cloudflare", "urls"];
+
+// Build a target by name
+function createTarget(name, { urls } = {}) {
+  switch (name) {
+    case "local":
+      return createLocalTarget();
+    case "cloudflare":
+      return createCloudflareTarget();
+    case "urls":
+      return createUrlListTarget(urls);
+    default:
+      throw new Error(
+        `Unknown target "${name}" (expected one of ${TARGETS.join(", ")})`
+      );
+  }
+}
+
+export {
+  createTarget,
+  createLocalTarget,
+  createCloudflareTarget,
+  createUrlListTarget,
+  TARGETS,
+};
@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+
+/**
+ * Bundle Size Analysis
+ * Builds each app and measures the JavaScript and CSS every route loads
+ * (raw, gzip and brotli) from the Vite and Next.js build manifests
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import zlib from "zlib";
+import yargs from "yargs";
+import chalk from "chalk";
+import { table } from "table";
+import { spawn } from "child_process";
+import { startMockApiServer } from "./mock-api-server.js";
+import { getConfig } from "./config.js";
+import { getGitSha, getFrameworkVersions } from "./run-metadata.js";
+import dotenv from "dotenv";
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Utility functions
+const log = {
+  info: (msg) => console.log(chalk.blue("ℹ"), msg),
+  success: (msg) => console.log(chalk.green("✓"), msg),
+  error: (msg) => console.log(chalk.red("✗"), msg),
+  warn: (msg) => console.log(chalk.yellow("⚠"), msg),
+  header: (msg) =>
+    console.log(
+      chalk.bold.cyan(
+        "\n" + "=".repeat(50) + "\n" + msg + "\n" + "=".repeat(50)
+      )
+    ),
+};
+
+const DEFAULT_OUTPUT = "./reports/bundle-stats.json";
+
+// Routes measured by default: the home page plus every benchmarked route
+function getDefaultRoutes(config) {
+  return [
+    { name: "home", path: "/" },
+    ...config.routes.map(({ name, path }) => ({ name, path })),
+  ];
+}
+
+// Run `pnpm run build` in an app directory, with output shown only on failure
+function runBuild(appDir, apiBaseUrl = null) {
+  return new Promise((resolve, reject) => {
+    const build = spawn("pnpm", ["run", "build"], {
+      cwd: appDir,
+      stdio: ["ignore", "pipe", "pipe"],
+      env: {
+        ...process.env,
+        NODE_ENV: "production",
+        // Read by each app's /posts loader (baked in at build time)
+        ...(apiBaseUrl ? { API_BASE_URL: apiBaseUrl } : {}),
+      },
+    });
+
+    let output = "";
+    build.stdout.on("data", (data) => (output += data.toString()));
+    build.stderr.on("data", (data) => (output += data.toString()));
+
+    build.on("error", reject);
+    build.on("close", (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`Build failed in ${appDir}:\n${output.slice(-4000)}`));
+      }
+    });
+  });
+}
+
+// Static imports (and their CSS) of a Vite manifest chunk, recursively
+function collectViteChunk(manifest, key, files = new Set()) {
+  const chunk = manifest[key];
+  if (!chunk || files.has(chunk.file)) return files;
+
+  files.add(chunk.file);
+  for (const css of chunk.css || []) files.add(css);
+  for (const imported of chunk.imports || []) {
+    collectViteChunk(manifest, imported, files);
+  }
+  return files;
+}
+
+// React Router: the route manifest lists each route's module, imports and CSS;
+// a page loads the client entry plus every route from the root down to it
+async function analyzeReactRouterBuild(appDir, routes) {
+  const clientDir = path.join(appDir, "build/client");
+  const assets = await fs.readdir(path.join(clientDir, "assets"));
+  const manifestFile = assets.find((file) => /^manifest-.*\.js$/.test(file));
+  if (!manifestFile) {
+    throw new Error(`No route manifest found in ${clientDir}/assets`);
+  }
+
+  const source = await fs.readFile(
+    path.join(clientDir, "assets", manifestFile),
+    "utf8"
+  );
+  const manifest = JSON.parse(
+    source.replace(/^window\.__reactRouterManifest=/, "").replace(/;\s*$/, "")
+  );
+
+  // Full URL path of a manifest route, joining its parents' paths
+  const routePath = (route) => {
+    const segments = [];
+    for (let r = route; r; r = manifest.routes[r.parentId]) {
+      if (r.path) segments.unshift(r.path);
+    }
+    return "/" + segments.join("/");
+  };
+
+  const result = {};
+  for (const { name, path: urlPath } of routes) {
+    const match = Object.values(manifest.routes).find(
+      (route) =>
+        route.id !== "root" &&
+        routePath(route) === urlPath &&
+        (urlPath !== "/" || route.index)
+    );
+    if (!match) {
+      log.warn(`react-router: no route for ${urlPath}`);
+      continue;
+    }
+
+    const files = new Set([
+      manifest.url,
+      manifest.entry.module,
+      ...manifest.entry.imports,
+      ...manifest.entry.css,
+    ]);
+    for (let r = match; r; r = manifest.routes[r.parentId]) {
+      for (const file of [r.module, ...(r.imports || []), ...(r.css || [])]) {
+        files.add(file);
+      }
+    }
+
+    result[name] = [...files].map((file) => path.join(clientDir, file));
+  }
+
+  return result;
+}
+
+// Vite SPA (TanStack Router): the HTML entry's static imports load on every
+// route; lazily split route files add their own chunks
+async function analyzeViteSpaBuild(appDir, routes) {
+  const clientDir = path.join(appDir, "dist/client");
+  const manifestPath = path.join(clientDir, ".vite/manifest.json");
+  if (!(await fs.pathExists(manifestPath))) {
+    throw new Error(
+      `No Vite manifest at ${manifestPath} (enable build.manifest in vite.config.ts)`
+    );
+  }
+
+  const manifest = await fs.readJson(manifestPath);
+  const entry = Object.keys(manifest).find((key) => manifest[key].isEntry);
+
+  const result = {};
+  for (const { name, path: urlPath } of routes) {
+    const files = collectViteChunk(manifest, entry);
+
+    const routeFile = urlPath === "/" ? "index" : urlPath.slice(1);
+    for (const suffix of [".tsx", ".lazy.tsx"]) {
+      collectViteChunk(manifest, `src/routes/${routeFile}${suffix}`, files);
+    }
+
+    result[name] = [...files].map((file) => path.join(clientDir, file));
+  }
+
+  return result;
+}
+
+// Next.js App Router: the app build manifest lists the chunks of every layout
+// and page; a route loads its page plus each layout above it
+async function analyzeNextBuild(appDir, routes) {
+  const buildDir = path.join(appDir, ".next");
+  const { pages } = await fs.readJson(
+    path.join(buildDir, "app-build-manifest.json")
+  );
+
+  const result = {};
+  for (const { name, path: urlPath } of routes) {
+    const segments = urlPath.split("/").filter(Boolean);
+    const page = `/${[...segments, "page"].join("/")}`;
+    if (!pages[page]) {
+      log.warn(`next: no page for ${urlPath}`);
+      continue;
+    }
+
+    const files = new Set(pages[page]);
+    for (let i = 0; i <= segments.length; i++) {
+      const layout = `/${[...segments.slice(0, i), "layout"].join("/")}`;
+      for (const file of pages[layout] || []) files.add(file);
+    }
+
+    result[name] = [...files].map((file) => path.join(buildDir, file));
+  }
+
+  return result;
+}
+
+// Build output parser per app
+const BUNDLE_ANALYZERS = {
+  "react-router": analyzeReactRouterBuild,
+  "tanstack-router": analyzeViteSpaBuild,
+  next: analyzeNextBuild,
+};
+
+// Raw, gzip and brotli size of one file (cached, routes share most chunks)
+const sizeCache = new Map();
+
+async function measureFile(file) {
+  if (!sizeCache.has(file)) {
+    const content = await fs.readFile(file);
+    sizeCache.set(file, {
+      raw: content.length,
+      gzip: zlib.gzipSync(content, { level: 9 }).length,
+      brotli: zlib.brotliCompressSync(content, {
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 11 },
+      }).length,
+    });
+  }
+  return sizeCache.get(file);
+}
+
+function sumSizes(files) {
+  return files.reduce(
+    (total, file) => ({
+      raw: total.raw + file.raw,
+      gzip: total.gzip + file.gzip,
+      brotli: total.brotli + file.brotli,
+    }),
+    { raw: 0, gzip: 0, brotli: 0 }
+  );
+}
+
+// JS and CSS sizes of every route of one app
+async function measureRoutes(appDir, routeFiles) {
+  const routes = {};
+
+  for (const [name, files] of Object.entries(routeFiles)) {
+    const measured = [];
+    for (const file of files) {
+      const type = file.endsWith(".css")
+        ? "css"
+        : /\.m?js$/.test(file)
+        ? "js"
+        : null;
+      if (!type) continue;
+      measured.push({
+        file: path.relative(appDir, file),
+        type,
+        ...(await measureFile(file)),
+      });
+    }
+
+    const js = measured.filter((file) => file.type === "js");
+    const css = measured.filter((file) => file.type === "css");
+    routes[name] = {
+      js: { ...sumSizes(js), files: js.length },
+      css: { ...sumSizes(css), files: css.length },
+      total: sumSizes(measured),
+      files: measured,
+    };
+  }
+
+  return routes;
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const k = 1024;
+  const sizes = ["B", "KB", "MB"];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), 2);
+  return `${(bytes / Math.pow(k, i)).toFixed(1)} ${sizes[i]}`;
+}
+
+// One table per route, apps side by side
+function displayBundleStats(stats) {
+  log.header("BUNDLE SIZES");
+
+  const apps = Object.keys(stats.apps);
+  const routes = [
+    ...new Set(apps.flatMap((app) => Object.keys(stats.apps[app].routes))),
+  ];
+
+  for (const route of routes) {
+    const tableData = [["", ...apps]];
+    const rows = [
+      ["JS (raw)", (r) => r.js.raw],
+      ["JS (gzip)", (r) => r.js.gzip],
+      ["JS (brotli)", (r) => r.js.brotli],
+      ["CSS (raw)", (r) => r.css.raw],
+      ["CSS (gzip)", (r) => r.css.gzip],
+      ["Total (brotli)", (r) => r.total.brotli],
+    ];
+
+    for (const [label, value] of rows) {
+      tableData.push([
+        label,
+        ...apps.map((app) => {
+          const stat = stats.apps[app].routes[route];
+          return stat ? formatBytes(value(stat)) : "N/A";
+        }),
+      ]);
+    }
+
+    console.log(
+      table(tableData, {
+        header: {
+          alignment: "center",
+          content: `${route.toUpperCase()} Route`,
+        },
+      })
+    );
+  }
+}
+
+// Build (unless skipped) and measure every app
+async function runBundleAnalysis(options = {}) {
+  const config = getConfig("local");
+  const apps = options.apps
+    ? config.apps.filter((app) => options.apps.includes(app.name))
+    : config.apps;
+  const routes = options.routes || getDefaultRoutes(config);
+  const output = options.output || DEFAULT_OUTPUT;
+
+  let mockApiServer = null;
+  try {
+    // The builds bake in the data API URL, so point them at the mock
+    if (!options.skipBuild && config.mockApi?.enabled) {
+      log.info("Starting mock API server for the builds...");
+      mockApiServer = await startMockApiServer(config.mockApi);
+    }
+
+    const stats = {
+      metadata: {
+        timestamp: new Date().toISOString(),
+        gitSha: getGitSha(),
+        frameworkVersions: await getFrameworkVersions(apps),
+        routes,
+      },
+      apps: {},
+    };
+
+    for (const app of apps) {
+      const analyze = BUNDLE_ANALYZERS[app.name];
+      if (!analyze) {
+        log.warn(`No bundle analyzer for ${app.name}, skipping`);
+        continue;
+      }
+
+      const appDir = path.resolve(app.name);
+      if (!options.skipBuild) {
+        log.info(`Building ${app.name}...`);
+        await runBuild(appDir, mockApiServer?.url);
+      }
+
+      const routeFiles = await analyze(appDir, routes);
+      stats.apps[app.name] = {
+        routes: await measureRoutes(appDir, routeFiles),
+      };
+      log.success(`Measured ${app.name}`);
+    }
+
+    await fs.ensureDir(path.dirname(output));
+    await fs.writeJson(output, stats, { spaces: 2 });
+
+    displayBundleStats(stats);
+    log.success(`Bundle stats saved to: ${output}`);
+    return stats;
+  } finally {
+    if (mockApiServer) {
+      await mockApiServer.close();
+    }
+  }
+}
+
+// CLI interface
+async function main() {
+  const argv = yargs(process.argv.slice(2))
+    .option("apps", {
+      type: "array",
+      description: "Apps to build and measure (default: all)",
+    })
+    .option("skip-build", {
+      type: "boolean",
+      description: "Measure the existing build output without rebuilding",
+      default: false,
+    })
+    .option("output", {
+      type: "string",
+      description: "Output path for the bundle stats JSON",
+      default: DEFAULT_OUTPUT,
+    })
+    .help()
+    .parseSync();
+
+  try {
+    await runBundleAnalysis({
+      apps: argv.apps,
+      skipBuild: argv.skipBuild,
+      output: argv.output,
+    });
+  } catch (error) {
+    log.error(`Bundle analysis failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { runBundleAnalysis, BUNDLE_ANALYZERS, DEFAULT_OUTPUT };
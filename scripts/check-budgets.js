@@ -0,0 +1,524 @@
+#!/usr/bin/env node
+
+/**
+ * Performance Budget Check
+ * Compares analyzed results against absolute budgets and a stored baseline,
+ * prints violations and exits non-zero so CI can fail on regressions
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import yargs from "yargs";
+import chalk from "chalk";
+import { table } from "table";
+import {
+  analyzeGroupedResults,
+  findLatestResults,
+  groupResults,
+  loadResults,
+} from "./analyze-results.js";
+import { OUTLIER_METHODS } from "./statistics.js";
+import { METRICS } from "./metrics.js";
+import dotenv from "dotenv";
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Logging utilities
+const log = {
+  info: (msg) => console.log(chalk.blue("ℹ"), msg),
+  success: (msg) => console.log(chalk.green("✓"), msg),
+  error: (msg) => console.log(chalk.red("✗"), msg),
+  warn: (msg) => console.log(chalk.yellow("⚠"), msg),
+  header: (msg) =>
+    console.log(
+      chalk.bold.cyan(
+        "\n" + "=".repeat(60) + "\n" + msg + "\n" + "=".repeat(60)
+      )
+    ),
+};
+
+// Every registered metric can be budgeted
+const BUDGET_METRICS = METRICS;
+
+const STATISTICS = ["mean", "median", "p75", "p90", "p95", "p99", "min", "max"];
+
+// Load and validate a budgets file
+async function loadBudgets(filePath) {
+  let budgets;
+  try {
+    budgets = await fs.readJson(filePath);
+  } catch (error) {
+    throw new Error(
+      `Failed to load budgets from ${filePath}: ${error.message}`
+    );
+  }
+
+  const statistic = budgets.statistic || "median";
+  if (!STATISTICS.includes(statistic)) {
+    throw new Error(
+      `Unknown statistic "${statistic}" (expected one of ${STATISTICS.join(
+        ", "
+      )})`
+    );
+  }
+
+  const outliers = budgets.outliers || "keep";
+  if (!["keep", "exclude"].includes(outliers)) {
+    throw new Error(
+      `Unknown outliers mode "${outliers}" (expected keep or exclude)`
+    );
+  }
+
+  const outlierMethod = budgets.outlierMethod || "iqr";
+  if (!OUTLIER_METHODS.includes(outlierMethod)) {
+    throw new Error(
+      `Unknown outlier method "${outlierMethod}" (expected one of ${OUTLIER_METHODS.join(
+        ", "
+      )})`
+    );
+  }
+
+  for (const routes of Object.values(budgets.budgets || {})) {
+    for (const metrics of Object.values(routes)) {
+      for (const metric of Object.keys(metrics)) {
+        if (!BUDGET_METRICS[metric]) {
+          throw new Error(
+            `Unknown budget metric "${metric}" (expected one of ${Object.keys(
+              BUDGET_METRICS
+            ).join(", ")})`
+          );
+        }
+      }
+    }
+  }
+
+  return {
+    ...budgets,
+    statistic,
+    outliers,
+    outlierMethod,
+    budgets: budgets.budgets || {},
+  };
+}
+
+// Merge budgets from least to most specific: */*, */route, app/*, app/route;
+// "route@profile" keys refine each route key for one device/network profile
+function resolveBudgets(budgets, app, route, profile = null) {
+  const routeKeys = (name) => (profile ? [name, `${name}@${profile}`] : [name]);
+  const layers = [
+    ...routeKeys("*").map((key) => budgets["*"]?.[key]),
+    ...routeKeys(route).map((key) => budgets["*"]?.[key]),
+    ...routeKeys("*").map((key) => budgets[app]?.[key]),
+    ...routeKeys(route).map((key) => budgets[app]?.[key]),
+  ];
+
+  const resolved = {};
+  for (const layer of layers) {
+    for (const [metric, limits] of Object.entries(layer || {})) {
+      resolved[metric] = { ...resolved[metric], ...limits };
+    }
+  }
+
+  return resolved;
+}
+
+function formatMetric(value, unit) {
+  if (value === null || value === undefined || isNaN(value)) return "N/A";
+  if (unit === "ms") return `${Math.round(value)}ms`;
+  if (unit === "bytes") return `${(value / 1024 / 1024).toFixed(2)} MB`;
+  return unit === "" && value < 1 ? value.toFixed(3) : value.toFixed(1);
+}
+
+// Route label including the profile, when the results have one
+function formatScope({ route, profile }) {
+  return profile ? `${route}@${profile}` : route;
+}
+
+// Evaluate every budget for every app/route in the analysis
+function checkBudgets(analysis, budgetConfig, baselineAnalysis = null) {
+  const { budgets, statistic } = budgetConfig;
+  const checks = [];
+
+  for (const [key, entry] of Object.entries(analysis)) {
+    const resolved = resolveBudgets(
+      budgets,
+      entry.app,
+      entry.route,
+      entry.profile
+    );
+    const baseline = baselineAnalysis?.[key];
+
+    for (const [metric, limits] of Object.entries(resolved)) {
+      const definition = BUDGET_METRICS[metric];
+      const base = {
+        app: entry.app,
+        route: entry.route,
+        ...(entry.profile ? { profile: entry.profile } : {}),
+        metric,
+        statistic,
+      };
+
+      if (entry.error) {
+        checks.push({
+          ...base,
+          rule: "measured",
+          status: "fail",
+          message: entry.error,
+        });
+        continue;
+      }
+
+      const value = definition.stats(entry)?.[statistic];
+      if (value === null || value === undefined) {
+        checks.push({
+          ...base,
+          rule: "measured",
+          status: "skip",
+          message: "No data for this metric",
+        });
+        continue;
+      }
+
+      if (limits.max !== undefined) {
+        const passed = value <= limits.max;
+        checks.push({
+          ...base,
+          rule: "max",
+          value,
+          limit: limits.max,
+          status: passed ? "pass" : "fail",
+          message: `${definition.name} ${statistic} ${formatMetric(
+            value,
+            definition.unit
+          )} ${passed ? "<=" : ">"} ${formatMetric(
+            limits.max,
+            definition.unit
+          )}`,
+        });
+      }
+
+      if (limits.min !== undefined) {
+        const passed = value >= limits.min;
+        checks.push({
+          ...base,
+          rule: "min",
+          value,
+          limit: limits.min,
+          status: passed ? "pass" : "fail",
+          message: `${definition.name} ${statistic} ${formatMetric(
+            value,
+            definition.unit
+          )} ${passed ? ">=" : "<"} ${formatMetric(
+            limits.min,
+            definition.unit
+          )}`,
+        });
+      }
+
+      if (limits.maxRegression !== undefined) {
+        const baselineValue = baseline?.error
+          ? null
+          : definition.stats(baseline || {})?.[statistic];
+
+        if (baselineValue === null || baselineValue === undefined) {
+          checks.push({
+            ...base,
+            rule: "maxRegression",
+            status: "skip",
+            limit: limits.maxRegression,
+            message: baselineAnalysis
+              ? "No baseline value to compare against"
+              : "No baseline stored",
+          });
+          continue;
+        }
+
+        // A zero baseline has no relative change: any regression fails
+        const delta = definition.higherIsBetter
+          ? baselineValue - value
+          : value - baselineValue;
+        const regression =
+          baselineValue === 0
+            ? delta > 0
+              ? Infinity
+              : 0
+            : (delta / baselineValue) * 100;
+        const passed = regression <= limits.maxRegression;
+        const change =
+          regression === Infinity
+            ? "regression from zero"
+            : `${regression > 0 ? "+" : ""}${regression.toFixed(
+                1
+              )}% regression`;
+        checks.push({
+          ...base,
+          rule: "maxRegression",
+          value,
+          baselineValue,
+          regression,
+          limit: limits.maxRegression,
+          status: passed ? "pass" : "fail",
+          message: `${definition.name} ${statistic} ${formatMetric(
+            baselineValue,
+            definition.unit
+          )} → ${formatMetric(value, definition.unit)} (${change}, limit ${
+            limits.maxRegression
+          }%)`,
+        });
+      }
+    }
+  }
+
+  return checks;
+}
+
+// Print all checks, grouped by app and route
+function displayChecks(checks) {
+  const tableData = [["App", "Route", "Metric", "Rule", "Result", "Details"]];
+  const statusLabels = {
+    pass: chalk.green("PASS"),
+    fail: chalk.red("FAIL"),
+    skip: chalk.gray("SKIP"),
+  };
+
+  for (const check of checks) {
+    tableData.push([
+      check.app,
+      formatScope(check),
+      check.metric,
+      check.rule,
+      statusLabels[check.status],
+      check.message,
+    ]);
+  }
+
+  console.log(
+    table(tableData, {
+      columns: { 5: { width: 60, wrapWord: true } },
+    })
+  );
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// One test suite per app/route, one test case per budget rule
+function generateJUnitXml(checks, timestamp = new Date().toISOString()) {
+  const suites = {};
+  for (const check of checks) {
+    const name = `${check.app} ${formatScope(check)}`;
+    (suites[name] = suites[name] || []).push(check);
+  }
+
+  const count = (list, status) =>
+    list.filter((check) => check.status === status).length;
+
+  const suiteXml = Object.entries(suites).map(([name, list]) => {
+    const cases = list.map((check) => {
+      const attributes = `name="${escapeXml(
+        `${check.metric} ${check.rule}`
+      )}" classname="${escapeXml(`perf.${check.app}.${formatScope(check)}`)}"`;
+
+      if (check.status === "fail") {
+        return `    <testcase ${attributes}>\n      <failure message="${escapeXml(
+          check.message
+        )}" type="BudgetViolation"/>\n    </testcase>`;
+      }
+      if (check.status === "skip") {
+        return `    <testcase ${attributes}>\n      <skipped message="${escapeXml(
+          check.message
+        )}"/>\n    </testcase>`;
+      }
+      return `    <testcase ${attributes}/>`;
+    });
+
+    return `  <testsuite name="${escapeXml(name)}" tests="${
+      list.length
+    }" failures="${count(list, "fail")}" skipped="${count(
+      list,
+      "skip"
+    )}" timestamp="${timestamp}">\n${cases.join("\n")}\n  </testsuite>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="performance-budgets" tests="${
+    checks.length
+  }" failures="${count(checks, "fail")}" skipped="${count(
+    checks,
+    "skip"
+  )}">\n${suiteXml.join("\n")}\n</testsuites>\n`;
+}
+
+// Analyze a results file the same way the analyzer does
+async function analyzeFile(filePath, { outliers, outlierMethod } = {}) {
+  const data = await loadResults(filePath);
+  if (!data.results || data.results.length === 0) {
+    throw new Error(`No results found in ${filePath}`);
+  }
+  return analyzeGroupedResults(groupResults(data.results), {
+    outliers,
+    outlierMethod,
+  });
+}
+
+// Run the budget check and return the checks plus overall status
+async function runBudgetCheck(filePath, options = {}) {
+  const budgetConfig = await loadBudgets(options.budgets);
+  const baselinePath = options.baseline || budgetConfig.baseline;
+
+  log.info(`Checking results: ${filePath}`);
+  log.info(
+    `Budgets: ${options.budgets} (statistic: ${budgetConfig.statistic}, outliers: ${budgetConfig.outliers})`
+  );
+
+  const analysis = await analyzeFile(filePath, budgetConfig);
+
+  let baselineAnalysis = null;
+  if (baselinePath && (await fs.pathExists(baselinePath))) {
+    log.info(`Baseline: ${baselinePath}`);
+    baselineAnalysis = await analyzeFile(baselinePath, budgetConfig);
+  } else {
+    log.warn(
+      "No baseline found, relative regression budgets are skipped " +
+        '(store one with "pnpm run perf:check -- --update-baseline")'
+    );
+  }
+
+  const checks = checkBudgets(analysis, budgetConfig, baselineAnalysis);
+  const failures = checks.filter((check) => check.status === "fail");
+
+  if (options.junit) {
+    await fs.ensureDir(path.dirname(options.junit));
+    await fs.writeFile(options.junit, generateJUnitXml(checks));
+    log.info(`JUnit report written to: ${options.junit}`);
+  }
+
+  return { checks, failures, passed: failures.length === 0 };
+}
+
+// CLI interface
+async function main() {
+  const argv = yargs(process.argv.slice(2))
+    .option("file", {
+      type: "string",
+      description: "Path to benchmark results file",
+    })
+    .option("budgets", {
+      type: "string",
+      description: "Path to budgets file",
+      default: "./scripts/budgets.json",
+    })
+    .option("baseline", {
+      type: "string",
+      description: "Baseline results file (overrides the budgets file)",
+    })
+    .option("junit", {
+      type: "string",
+      description: "Write a JUnit XML report to this path",
+    })
+    .option("update-baseline", {
+      type: "boolean",
+      description: "Store the checked results as the new baseline",
+      default: false,
+    })
+    .option("force", {
+      type: "boolean",
+      description: "Update the baseline even when budgets fail",
+      default: false,
+    })
+    .option("verbose", {
+      type: "boolean",
+      description: "List passing and skipped checks too",
+      default: false,
+    })
+    .help()
+    .parseSync();
+
+  try {
+    let filePath = argv.file;
+
+    if (!filePath) {
+      filePath = await findLatestResults();
+
+      if (!filePath) {
+        throw new Error(
+          'No benchmark results found. Run "npm run perf:measure" first.'
+        );
+      }
+    }
+
+    if (!(await fs.pathExists(filePath))) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+
+    const { checks, failures, passed } = await runBudgetCheck(filePath, {
+      budgets: argv.budgets,
+      baseline: argv.baseline,
+      junit: argv.junit,
+    });
+
+    log.header("PERFORMANCE BUDGET CHECK");
+
+    const shown = argv.verbose ? checks : failures;
+    if (shown.length > 0) {
+      displayChecks(shown);
+    }
+
+    const skipped = checks.filter((check) => check.status === "skip").length;
+    log.info(
+      `${checks.length} checks: ${
+        checks.length - failures.length - skipped
+      } passed, ${failures.length} failed, ${skipped} skipped`
+    );
+
+    if (argv.updateBaseline) {
+      const { baseline } = await loadBudgets(argv.budgets);
+      const baselinePath = argv.baseline || baseline;
+      if (!baselinePath) {
+        throw new Error(
+          `No baseline path to update: pass --baseline or set "baseline" in ${argv.budgets}`
+        );
+      }
+
+      // A regressing run would otherwise become the baseline it is checked
+      // against next time
+      if (passed || argv.force) {
+        await fs.ensureDir(path.dirname(baselinePath));
+        await fs.copy(filePath, baselinePath);
+        log.success(`Baseline updated: ${baselinePath}`);
+      } else {
+        log.warn("Baseline not updated because budgets failed (see --force)");
+      }
+    }
+
+    if (!passed) {
+      log.error(`${failures.length} performance budget(s) exceeded`);
+      process.exit(1);
+    }
+
+    log.success("All performance budgets met");
+  } catch (error) {
+    log.error(`Budget check failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export {
+  runBudgetCheck,
+  checkBudgets,
+  loadBudgets,
+  resolveBudgets,
+  generateJUnitXml,
+  BUDGET_METRICS,
+};
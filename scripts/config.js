@@ -20,6 +20,25 @@ const DEFAULT_CONFIG = {
         name: "posts",
         path: "/posts",
         description: "Posts list page",
+        // Client-side transition from the nav bar on the home page
+        navigation: {
+          from: "/",
+          linkSelector: 'a[href="/posts"]',
+          contentSelector: "h1",
+          contentText: "Posts (",
+        },
+      },
+      {
+        name: "posts-deferred",
+        path: "/posts-deferred",
+        description: "Posts list page streaming its comments and stats",
+        // The heading renders with the posts, before the deferred data
+        navigation: {
+          from: "/",
+          linkSelector: 'a[href="/posts-deferred"]',
+          contentSelector: "h1",
+          contentText: "Posts (",
+        },
       },
     ],
     apps: [
@@ -40,19 +59,18 @@ const DEFAULT_CONFIG = {
       },
     ],
     warmupRuns: 1,
-    runs: 3,
+    // At least 4 runs per app are needed for a significant difference at
+    // α = 0.05 (see statistics.js)
+    runs: 5,
     waitTime: 3000,
     outputDir: "./reports/cloudflare",
+    // Device/network profiles (see lighthouse-config.js); desktop-edge adds
+    // edge-like latency (100ms RTT, 5 Mbps, 1.5x CPU)
+    profiles: ["desktop-edge"],
     // Cloudflare-specific settings
     cloudflare: {
       // Simulate different geographic locations
       locations: [{ name: "japan", cfRay: "japan" }],
-      // Network conditions for Cloudflare edge
-      networkConditions: {
-        rttMs: 100, // Higher RTT for edge locations
-        throughputKbps: 5 * 1024, // 5 Mbps for more realistic conditions
-        cpuSlowdownMultiplier: 1.5, // Slightly slower CPU
-      },
     },
   },
   local: {
@@ -61,6 +79,25 @@ const DEFAULT_CONFIG = {
         name: "posts",
         path: "/posts",
         description: "Posts list page",
+        // Client-side transition from the nav bar on the home page
+        navigation: {
+          from: "/",
+          linkSelector: 'a[href="/posts"]',
+          contentSelector: "h1",
+          contentText: "Posts (",
+        },
+      },
+      {
+        name: "posts-deferred",
+        path: "/posts-deferred",
+        description: "Posts list page streaming its comments and stats",
+        // The heading renders with the posts, before the deferred data
+        navigation: {
+          from: "/",
+          linkSelector: 'a[href="/posts-deferred"]',
+          contentSelector: "h1",
+          contentText: "Posts (",
+        },
       },
     ],
     apps: [
@@ -90,13 +127,26 @@ const DEFAULT_CONFIG = {
     // Testing parameters
     warmupRuns: 2,
     runs: 5,
+    // Adaptive mode adds runs until the coefficient of variation of FCP,
+    // LCP and load time is at most targetCV (or maxRuns is reached)
+    adaptive: { enabled: false, targetCV: 0.05, maxRuns: 15 },
     waitTime: 3000, // Wait time between measurements (ms)
     parallel: true, // Enable parallel execution for faster testing
+    profiles: ["desktop-fast"], // Device/network profiles (see lighthouse-config.js)
 
     // Server management
     waitForServer: 10000, // Time to wait for server startup (ms)
     maxHealthChecks: 10, // Maximum health check attempts
 
+    // Local JSONPlaceholder stand-in used by every /posts loader
+    mockApi: {
+      enabled: process.env.MOCK_API !== "false",
+      port: Number(process.env.MOCK_API_PORT) || 4000,
+      latency: Number(process.env.MOCK_API_LATENCY) || 0, // Base latency (ms)
+      jitter: Number(process.env.MOCK_API_JITTER) || 0, // ± jitter (ms)
+      bandwidthKbps: Number(process.env.MOCK_API_BANDWIDTH_KBPS) || 0, // 0 = unlimited
+    },
+
     // Output configuration
     outputDir: "./reports",
   },
@@ -0,0 +1,451 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark Diff
+ * Compares two benchmark results files (e.g. before and after a change to
+ * one of the apps) per app, route and profile with the analyzer's
+ * significance tests, in the terminal and as an HTML report
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import yargs from "yargs";
+import chalk from "chalk";
+import { table } from "table";
+import {
+  loadResults,
+  groupResults,
+  selectRuns,
+  SIGNIFICANCE_METRICS,
+} from "./analyze-results.js";
+import { compareSamples, OUTLIER_METHODS } from "./statistics.js";
+import dotenv from "dotenv";
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Logging utilities
+const log = {
+  info: (msg) => console.log(chalk.blue("ℹ"), msg),
+  success: (msg) => console.log(chalk.green("✓"), msg),
+  error: (msg) => console.log(chalk.red("✗"), msg),
+  warn: (msg) => console.log(chalk.yellow("⚠"), msg),
+  header: (msg) =>
+    console.log(
+      chalk.bold.cyan(
+        "\n" + "=".repeat(50) + "\n" + msg + "\n" + "=".repeat(50)
+      )
+    ),
+};
+
+const DEFAULT_OUTPUT = "./reports/diff-report.html";
+
+// The parts of a results file's metadata that identify the run
+function describeRun(file, data) {
+  const metadata = data.metadata || {};
+  return {
+    file,
+    runId: metadata.runId || null,
+    timestamp: metadata.timestamp || null,
+    gitSha: metadata.gitSha || null,
+    target: metadata.target || null,
+  };
+}
+
+// Align both runs by app, route and profile and test every metric for a
+// significant change from base to head
+function diffResults(
+  baseData,
+  headData,
+  { alpha = 0.05, outliers, outlierMethod, baseFile, headFile } = {}
+) {
+  const runOptions = { outliers, outlierMethod };
+  const base = groupResults(baseData.results || []);
+  const head = groupResults(headData.results || []);
+  const groups = [];
+
+  for (const key of new Set([...Object.keys(base), ...Object.keys(head)])) {
+    const { app, route, profile } = base[key] || head[key];
+    const scope = { app, route, ...(profile ? { profile } : {}) };
+
+    if (!base[key] || !head[key]) {
+      groups.push({ ...scope, missing: base[key] ? "head" : "base" });
+      continue;
+    }
+
+    const baseRuns = selectRuns(base[key], runOptions).runs;
+    const headRuns = selectRuns(head[key], runOptions).runs;
+    const metrics = [];
+
+    for (const metric of SIGNIFICANCE_METRICS) {
+      const values = (runs) =>
+        runs
+          .map(metric.extract)
+          .filter((v) => v !== null && v !== undefined && !isNaN(v));
+      const result = compareSamples(values(baseRuns), values(headRuns), {
+        alpha,
+      });
+      if (!result) continue;
+
+      const better = metric.higherIsBetter
+        ? result.delta > 0
+        : result.delta < 0;
+      metrics.push({
+        key: metric.key,
+        name: metric.name,
+        unit: metric.unit,
+        higherIsBetter: Boolean(metric.higherIsBetter),
+        ...result,
+        verdict:
+          !result.significant || result.delta === 0
+            ? "unchanged"
+            : better
+            ? "improved"
+            : "regressed",
+      });
+    }
+
+    groups.push({
+      ...scope,
+      runs: [baseRuns.length, headRuns.length],
+      metrics,
+    });
+  }
+
+  const verdicts = groups.flatMap((group) =>
+    (group.metrics || []).map((metric) => metric.verdict)
+  );
+  return {
+    alpha,
+    base: describeRun(baseFile, baseData),
+    head: describeRun(headFile, headData),
+    groups,
+    summary: {
+      improved: verdicts.filter((v) => v === "improved").length,
+      regressed: verdicts.filter((v) => v === "regressed").length,
+      unchanged: verdicts.filter((v) => v === "unchanged").length,
+    },
+  };
+}
+
+function decimalsFor(metric) {
+  if (metric.key === "performanceScore") return 1;
+  return metric.unit === "ms" ? 0 : 3;
+}
+
+function formatNumber(num, decimals = 2, unit = "") {
+  if (num === null || num === undefined || isNaN(num)) return "N/A";
+  return `${num.toFixed(decimals)}${unit}`;
+}
+
+function formatDelta(metric) {
+  const decimals = decimalsFor(metric);
+  const sign = metric.delta > 0 ? "+" : "";
+  const percent =
+    metric.deltaPercent !== null
+      ? ` (${sign}${metric.deltaPercent.toFixed(1)}%)`
+      : "";
+  return `${sign}${formatNumber(
+    metric.delta,
+    decimals,
+    metric.unit
+  )}${percent}`;
+}
+
+function formatCI(metric) {
+  const decimals = decimalsFor(metric);
+  return metric.ci
+    ? `[${formatNumber(metric.ci.lower, decimals)}, ${formatNumber(
+        metric.ci.upper,
+        decimals
+      )}]`
+    : "N/A";
+}
+
+function formatPValue(p) {
+  if (p === null || p === undefined || isNaN(p)) return "N/A";
+  return p < 0.001 ? "<0.001" : p.toFixed(3);
+}
+
+function formatScope({ app, route, profile }) {
+  return `${app.toUpperCase()} - ${route} Route${
+    profile ? ` [${profile}]` : ""
+  }`;
+}
+
+function formatRun(run) {
+  return [run.runId || run.file, run.gitSha?.slice(0, 7)]
+    .filter(Boolean)
+    .join(" @ ");
+}
+
+const VERDICT_COLORS = {
+  improved: chalk.green,
+  regressed: chalk.red,
+  unchanged: chalk.gray,
+};
+
+// Display the diff as one table per app, route and profile
+function displayDiff(diff) {
+  log.header("BENCHMARK DIFF");
+  log.info(`Base: ${formatRun(diff.base)}`);
+  log.info(`Head: ${formatRun(diff.head)}`);
+
+  for (const group of diff.groups) {
+    if (group.missing) {
+      log.warn(
+        `${formatScope(group)}: only measured in the ${
+          group.missing === "head" ? "base" : "head"
+        } run`
+      );
+      continue;
+    }
+
+    const tableData = [
+      ["Metric", "Base", "Head", "Δ", "95% CI", "p (MWU)", "Verdict"],
+    ];
+    for (const metric of group.metrics) {
+      const decimals = decimalsFor(metric);
+      tableData.push([
+        metric.name,
+        formatNumber(metric.meanA, decimals, metric.unit),
+        formatNumber(metric.meanB, decimals, metric.unit),
+        formatDelta(metric),
+        formatCI(metric),
+        formatPValue(metric.mannWhitney?.p),
+        VERDICT_COLORS[metric.verdict](metric.verdict),
+      ]);
+    }
+
+    console.log(
+      table(tableData, {
+        header: {
+          alignment: "center",
+          content: `${formatScope(group)} (${group.runs[0]} → ${
+            group.runs[1]
+          } runs)`,
+        },
+      })
+    );
+  }
+
+  const { improved, regressed, unchanged } = diff.summary;
+  console.log(
+    `${chalk.green(`${improved} improved`)}, ${chalk.red(
+      `${regressed} regressed`
+    )}, ${unchanged} without a significant change (Mann-Whitney U, α = ${
+      diff.alpha
+    })`
+  );
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Self-contained HTML version of the diff
+function generateDiffHTML(diff) {
+  const runCard = (label, run) => `
+            <div class="run">
+                <div class="run-label">${label}</div>
+                <div>${escapeHtml(run.file || "")}</div>
+                <div>${escapeHtml(formatRun(run))}</div>
+                <div>${escapeHtml(run.timestamp || "")}</div>
+            </div>`;
+
+  const sections = diff.groups
+    .map((group) => {
+      if (group.missing) {
+        return `
+        <h2>${escapeHtml(formatScope(group))}</h2>
+        <p class="note">Only measured in the ${
+          group.missing === "head" ? "base" : "head"
+        } run.</p>`;
+      }
+
+      const rows = group.metrics
+        .map((metric) => {
+          const decimals = decimalsFor(metric);
+          return `
+                <tr>
+                    <td>${escapeHtml(metric.name)}</td>
+                    <td>${formatNumber(
+                      metric.meanA,
+                      decimals,
+                      metric.unit
+                    )}</td>
+                    <td>${formatNumber(
+                      metric.meanB,
+                      decimals,
+                      metric.unit
+                    )}</td>
+                    <td>${formatDelta(metric)}</td>
+                    <td>${formatCI(metric)}</td>
+                    <td>${formatPValue(metric.mannWhitney?.p)}</td>
+                    <td class="${metric.verdict}">${metric.verdict}</td>
+                </tr>`;
+        })
+        .join("");
+
+      return `
+        <h2>${escapeHtml(formatScope(group))} <span class="note">(${
+        group.runs[0]
+      } → ${group.runs[1]} runs)</span></h2>
+        <table>
+            <thead>
+                <tr><th>Metric</th><th>Base</th><th>Head</th><th>Δ</th><th>95% CI</th><th>p (MWU)</th><th>Verdict</th></tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+        </table>`;
+    })
+    .join("");
+
+  const { improved, regressed, unchanged } = diff.summary;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Router Performance Benchmark Diff</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            background-color: #f5f5f5;
+            margin: 0;
+            padding: 20px;
+        }
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+            background: white;
+            border-radius: 10px;
+            padding: 30px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        h1 { color: #2d3748; margin-top: 0; }
+        h2 { color: #2d3748; margin-top: 30px; font-size: 1.2em; }
+        .runs { display: grid; grid-template-columns: 1fr 1fr; gap: 20px; }
+        .run { background: #f7fafc; border-radius: 8px; padding: 15px; word-break: break-all; }
+        .run-label { font-weight: 600; color: #667eea; }
+        .summary { margin: 20px 0; font-size: 1.1em; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { padding: 8px 12px; border-bottom: 1px solid #e2e8f0; text-align: right; }
+        th:first-child, td:first-child { text-align: left; }
+        th { background: #f7fafc; color: #4a5568; }
+        .improved { color: #38a169; font-weight: 600; }
+        .regressed { color: #e53e3e; font-weight: 600; }
+        .unchanged { color: #718096; }
+        .note { color: #718096; font-size: 0.9em; font-weight: normal; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>Router Performance Benchmark Diff</h1>
+        <div class="runs">${runCard("Base", diff.base)}${runCard(
+    "Head",
+    diff.head
+  )}
+        </div>
+        <div class="summary">
+            <span class="improved">${improved} improved</span>,
+            <span class="regressed">${regressed} regressed</span>,
+            ${unchanged} without a significant change
+            <span class="note">(Mann-Whitney U, α = ${
+              diff.alpha
+            }; Δ and the bootstrap CI are head − base)</span>
+        </div>
+        ${sections}
+    </div>
+</body>
+</html>`;
+}
+
+// Diff two results files and write the HTML report
+async function runDiff(baseFile, headFile, options = {}) {
+  for (const file of [baseFile, headFile]) {
+    if (!(await fs.pathExists(file))) {
+      throw new Error(`File not found: ${file}`);
+    }
+  }
+
+  const diff = diffResults(
+    await loadResults(baseFile),
+    await loadResults(headFile),
+    { ...options, baseFile, headFile }
+  );
+  displayDiff(diff);
+
+  const output = options.output || DEFAULT_OUTPUT;
+  await fs.ensureDir(path.dirname(output));
+  await fs.writeFile(output, generateDiffHTML(diff));
+  log.success(`Diff report written to: ${output}`);
+
+  return diff;
+}
+
+// CLI interface
+async function main() {
+  const argv = yargs(process.argv.slice(2))
+    .option("base", {
+      type: "string",
+      description: "Results file before the change",
+      demandOption: true,
+    })
+    .option("head", {
+      type: "string",
+      description: "Results file after the change",
+      demandOption: true,
+    })
+    .option("output", {
+      type: "string",
+      description: "HTML diff report path",
+      default: DEFAULT_OUTPUT,
+    })
+    .option("alpha", {
+      type: "number",
+      description: "Significance level",
+      default: 0.05,
+    })
+    .option("outliers", {
+      type: "string",
+      description: "Keep or exclude outlier runs in both files",
+      choices: ["keep", "exclude"],
+      default: "keep",
+    })
+    .option("outlier-method", {
+      type: "string",
+      description:
+        "Outlier detection: Tukey's IQR fences or modified z-score (MAD)",
+      choices: OUTLIER_METHODS,
+      default: "iqr",
+    })
+    .help()
+    .parseSync();
+
+  try {
+    await runDiff(argv.base, argv.head, {
+      output: argv.output,
+      alpha: argv.alpha,
+      outliers: argv.outliers,
+      outlierMethod: argv.outlierMethod,
+    });
+  } catch (error) {
+    log.error(`Diff failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { runDiff, diffResults, generateDiffHTML };
@@ -9,7 +9,14 @@ import fs from "fs-extra";
 import path from "path";
 import yargs from "yargs";
 import chalk from "chalk";
-import { findLatestResults, loadResults } from "./analyze-results.js";
+import { createRequire } from "module";
+import {
+  findLatestResults,
+  loadResults,
+  generateProfileBreakdown,
+} from "./analyze-results.js";
+import { loadHistory, buildTrends, getHistoryDir } from "./history.js";
+import { calculateStats } from "./statistics.js";
 import dotenv from "dotenv";
 
 // Load environment variables from .env file
@@ -29,8 +36,35 @@ const log = {
     ),
 };
 
+// The Chart.js and box plot UMD builds, inlined so the report renders
+// without network access (the packages only export their ESM/CJS entry points)
+const require = createRequire(import.meta.url);
+const CHART_SCRIPTS = [
+  path.join(path.dirname(require.resolve("chart.js")), "chart.umd.min.js"),
+  path.join(
+    path.dirname(require.resolve("@sgratzl/chartjs-chart-boxplot")),
+    "index.umd.min.js"
+  ),
+];
+
+// Read the charting libraries for inlining; "</script" would end the
+// surrounding script element early
+async function loadChartLibrary() {
+  const sources = await Promise.all(
+    CHART_SCRIPTS.map((file) => fs.readFile(file, "utf8"))
+  );
+  return sources.join("\n").replace(/<\/script/gi, "<\\/script");
+}
+
 // Generate HTML report template
-function generateHTMLReport(data, analysis, comparison) {
+function generateHTMLReport(
+  data,
+  analysis,
+  comparison,
+  trends = null,
+  bundleStats = null,
+  chartLibrary = ""
+) {
   const timestamp = new Date().toISOString();
   const metadata = data.metadata || {};
 
@@ -40,7 +74,7 @@ function generateHTMLReport(data, analysis, comparison) {
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Router Performance Benchmark Report</title>
-    <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
+    <script>${chartLibrary}</script>
     <style>
         * {
             margin: 0;
@@ -139,6 +173,21 @@ function generateHTMLReport(data, analysis, comparison) {
             margin-bottom: 20px;
         }
         
+        .chart-select {
+            display: inline-block;
+            margin-bottom: 20px;
+            font-weight: 600;
+            color: #4a5568;
+        }
+        
+        .chart-select select {
+            margin-left: 8px;
+            padding: 6px 10px;
+            font-size: 1em;
+            border: 1px solid #e2e8f0;
+            border-radius: 6px;
+        }
+        
         .comparison-grid {
             display: grid;
             grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
@@ -164,6 +213,12 @@ function generateHTMLReport(data, analysis, comparison) {
             margin-bottom: 5px;
         }
         
+        .metric-spread {
+            color: #718096;
+            font-size: 0.85em;
+            margin-bottom: 5px;
+        }
+        
         .metric-improvement {
             font-size: 0.9em;
             font-weight: 600;
@@ -323,12 +378,47 @@ function generateHTMLReport(data, analysis, comparison) {
                     <div class="metadata-label">Total Tests</div>
                     <div>${data.results?.length || 0}</div>
                 </div>
+                <div class="metadata-item">
+                    <div class="metadata-label">Git Revision</div>
+                    <div>${
+                      metadata.gitSha
+                        ? metadata.gitSha.slice(0, 7) +
+                          (metadata.gitDirty ? " (uncommitted changes)" : "")
+                        : "N/A"
+                    }</div>
+                </div>
+                <div class="metadata-item">
+                    <div class="metadata-label">Config Hash</div>
+                    <div>${metadata.configHash || "N/A"}</div>
+                </div>
+                <div class="metadata-item">
+                    <div class="metadata-label">Chrome Version</div>
+                    <div>${metadata.chromeVersion || "N/A"}</div>
+                </div>
+                <div class="metadata-item">
+                    <div class="metadata-label">Node.js Version</div>
+                    <div>${metadata.nodeVersion || "N/A"}</div>
+                </div>
+                <div class="metadata-item">
+                    <div class="metadata-label">Host</div>
+                    <div>${formatHost(metadata.host)}</div>
+                </div>
             </div>
         </div>
 
+        ${generateVersionsSection(metadata.frameworkVersions)}
+
+        ${generateBundleSection(bundleStats)}
+
         ${generateDetailedResultsSection(analysis)}
         
-        ${generateChartsSection(data.results, comparison)}
+        ${generateProfileSection(generateProfileBreakdown(analysis))}
+        
+        ${generateChartsSection(data.results, data.warmups)}
+        
+        ${generateWaterfallSection(data.results)}
+        
+        ${generateTrendsSection(trends)}
         
         ${generateRawDataSection(data)}
     </div>
@@ -339,12 +429,168 @@ function generateHTMLReport(data, analysis, comparison) {
     </div>
 
     <script>
-        ${generateJavaScript(data.results, comparison)}
+        ${generateJavaScript(data.results, data.warmups || [], trends)}
     </script>
 </body>
 </html>`;
 }
 
+// Describe the benchmark machine in one line
+function formatHost(host) {
+  if (!host) return "N/A";
+
+  const memoryGb = (host.totalMemory / 1024 ** 3).toFixed(1);
+  return `${host.cpuModel || "Unknown CPU"} × ${
+    host.cpuCores
+  }, ${memoryGb} GB RAM (${host.platform} ${host.arch})`;
+}
+
+// Generate framework versions table
+function generateVersionsSection(frameworkVersions) {
+  if (!frameworkVersions || Object.keys(frameworkVersions).length === 0) {
+    return "";
+  }
+
+  const packages = [
+    ...new Set(
+      Object.values(frameworkVersions).flatMap((versions) =>
+        Object.keys(versions)
+      )
+    ),
+  ];
+
+  return `
+        <div class="metadata">
+            <h3>📦 Framework Versions</h3>
+            <table style="width: 100%; border-collapse: collapse;">
+                <thead>
+                    <tr style="background: #f8f9fa;">
+                        <th style="padding: 8px; text-align: left;">Package</th>
+                        ${Object.keys(frameworkVersions)
+                          .map(
+                            (app) =>
+                              `<th style="padding: 8px; text-align: left;">${app}</th>`
+                          )
+                          .join("")}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${packages
+                      .map(
+                        (packageName) => `
+                    <tr style="border-bottom: 1px solid #e2e8f0;">
+                        <td style="padding: 8px; font-family: monospace;">${packageName}</td>
+                        ${Object.values(frameworkVersions)
+                          .map(
+                            (versions) =>
+                              `<td style="padding: 8px;">${
+                                versions[packageName] || "—"
+                              }</td>`
+                          )
+                          .join("")}
+                    </tr>`
+                      )
+                      .join("")}
+                </tbody>
+            </table>
+        </div>`;
+}
+
+// Generate bundle size comparison from `pnpm run perf:bundle` output
+function generateBundleSection(bundleStats) {
+  if (!bundleStats?.apps || Object.keys(bundleStats.apps).length === 0) {
+    return "";
+  }
+
+  const apps = Object.keys(bundleStats.apps);
+  const routes = [
+    ...new Set(
+      apps.flatMap((app) => Object.keys(bundleStats.apps[app].routes))
+    ),
+  ];
+  const rows = [
+    { label: "JS (raw)", value: (r) => r.js.raw },
+    { label: "JS (gzip)", value: (r) => r.js.gzip },
+    { label: "JS (brotli)", value: (r) => r.js.brotli },
+    { label: "CSS (raw)", value: (r) => r.css.raw },
+    { label: "CSS (gzip)", value: (r) => r.css.gzip },
+    { label: "CSS (brotli)", value: (r) => r.css.brotli },
+    { label: "Total (brotli)", value: (r) => r.total.brotli },
+    { label: "Files", value: (r) => r.js.files + r.css.files, count: true },
+  ];
+
+  const content = routes
+    .map((route) => {
+      // Highlight the smallest app per row
+      const body = rows
+        .map((row) => {
+          const values = apps.map((app) => {
+            const stat = bundleStats.apps[app].routes[route];
+            return stat ? row.value(stat) : null;
+          });
+          const smallest = Math.min(...values.filter((v) => v !== null));
+
+          return `
+                    <tr style="border-bottom: 1px solid #e2e8f0;">
+                        <td style="padding: 8px;">${row.label}</td>
+                        ${values
+                          .map(
+                            (value) =>
+                              `<td style="padding: 8px;${
+                                value === smallest && !row.count
+                                  ? " font-weight: bold; color: #38a169;"
+                                  : ""
+                              }">${
+                                value === null
+                                  ? "N/A"
+                                  : row.count
+                                  ? value
+                                  : formatBytes(value)
+                              }</td>`
+                          )
+                          .join("")}
+                    </tr>`;
+        })
+        .join("");
+
+      return `
+            <h4 style="margin: 20px 0 10px; color: #2d3748;">${route.toUpperCase()} Route</h4>
+            <table style="width: 100%; border-collapse: collapse;">
+                <thead>
+                    <tr style="background: #f8f9fa;">
+                        <th style="padding: 8px; text-align: left;">Size</th>
+                        ${apps
+                          .map(
+                            (app) =>
+                              `<th style="padding: 8px; text-align: left;">${app}</th>`
+                          )
+                          .join("")}
+                    </tr>
+                </thead>
+                <tbody>${body}
+                </tbody>
+            </table>`;
+    })
+    .join("");
+
+  return `
+    <div class="section">
+        <div class="section-header">📦 Bundle Sizes</div>
+        <div class="section-content">
+            <div style="color: #718096; font-size: 0.9em;">
+                JavaScript and CSS loaded by each route, measured from the build output${
+                  bundleStats.metadata?.gitSha
+                    ? ` at ${bundleStats.metadata.gitSha.slice(0, 7)}`
+                    : ""
+                } on ${new Date(
+    bundleStats.metadata?.timestamp
+  ).toLocaleString()}
+            </div>
+            ${content}
+        </div>
+    </div>`;
+}
+
 // Generate summary section
 function generateSummarySection(comparison) {
   if (!comparison || Object.keys(comparison).length === 0) {
@@ -542,9 +788,9 @@ function generateDetailedResultsSection(analysis) {
       .filter((a) => a.app === app)
       .forEach((result) => {
         content += `
-        <h4 style="margin: 20px 0; color: #2d3748;">${result.route.toUpperCase()} Route (${
-          result.runs
-        } runs)</h4>
+        <h4 style="margin: 20px 0; color: #2d3748;">${result.route.toUpperCase()} Route${
+          result.profile ? ` [${result.profile}]` : ""
+        } (${result.runs} runs)</h4>
         <div class="comparison-grid">`;
 
         // Performance Score
@@ -559,6 +805,9 @@ function generateDetailedResultsSection(analysis) {
               <div>Range: ${score.min?.toFixed(1) || "N/A"} - ${
             score.max?.toFixed(1) || "N/A"
           }</div>
+              <div class="metric-spread">95% CI: ${score.ci.lower.toFixed(
+                1
+              )} - ${score.ci.upper.toFixed(1)}</div>
           </div>`;
         }
 
@@ -581,11 +830,51 @@ function generateDetailedResultsSection(analysis) {
                   data.mean,
                   vital.unit
                 )}</div>
+                <div class="metric-spread">${formatSpread(
+                  data,
+                  vital.unit
+                )}</div>
+                <div class="${grade.className}">${grade.text}</div>
+            </div>`;
+          }
+        });
+
+        // Field metrics from the web-vitals library
+        const fieldVitals = [
+          { key: "ttfb", name: "Time to First Byte", unit: "ms" },
+          { key: "inp", name: "Interaction to Next Paint", unit: "ms" },
+        ];
+
+        fieldVitals.forEach((vital) => {
+          const data = result.webVitals?.[vital.key];
+          if (data && data.mean !== null && data.mean !== undefined) {
+            const grade = getPerformanceGrade(data.mean, vital.key);
+            content += `
+            <div class="metric-card">
+                <div class="metric-title">${vital.name}</div>
+                <div class="metric-value">${formatValue(
+                  data.mean,
+                  vital.unit
+                )}</div>
+                <div class="metric-spread">${formatSpread(
+                  data,
+                  vital.unit
+                )}</div>
                 <div class="${grade.className}">${grade.text}</div>
             </div>`;
           }
         });
 
+        if (result.webVitals?.lcpElement) {
+          content += `
+          <div class="metric-card">
+              <div class="metric-title">LCP Element</div>
+              <div style="font-family: monospace; word-break: break-all;">${escapeHtml(
+                result.webVitals.lcpElement
+              )}</div>
+          </div>`;
+        }
+
         content += "</div>";
       });
 
@@ -601,18 +890,252 @@ function generateDetailedResultsSection(analysis) {
     </div>`;
 }
 
-// Generate charts section
-function generateChartsSection(results, comparison) {
+// Generate per-profile breakdown section (profile matrix runs only)
+function generateProfileSection(breakdown) {
+  if (!breakdown) return "";
+
+  let content = "";
+  for (const [route, { profiles, apps, metrics }] of Object.entries(
+    breakdown
+  )) {
+    const rows = metrics
+      .map((metric) =>
+        profiles
+          .map(
+            (profile, index) => `
+                    <tr style="border-bottom: 1px solid #e2e8f0;">
+                        <td style="padding: 8px;">${
+                          index === 0 ? metric.name : ""
+                        }</td>
+                        <td style="padding: 8px; font-family: monospace;">${profile}</td>
+                        ${apps
+                          .map(
+                            (app) =>
+                              `<td style="padding: 8px;">${formatValue(
+                                metric.values[profile][app],
+                                metric.unit
+                              )}</td>`
+                          )
+                          .join("")}
+                    </tr>`
+          )
+          .join("")
+      )
+      .join("");
+
+    content += `
+            <h4 style="margin: 20px 0; color: #2d3748;">${route.toUpperCase()} Route by Profile</h4>
+            <table style="width: 100%; border-collapse: collapse;">
+                <thead>
+                    <tr style="background: #f8f9fa;">
+                        <th style="padding: 8px; text-align: left;">Metric</th>
+                        <th style="padding: 8px; text-align: left;">Profile</th>
+                        ${apps
+                          .map(
+                            (app) =>
+                              `<th style="padding: 8px; text-align: left;">${app}</th>`
+                          )
+                          .join("")}
+                    </tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>`;
+  }
+
+  return `
+    <div class="section">
+        <div class="section-header">📱 Profile Breakdown</div>
+        <div class="section-content">
+            ${content}
+        </div>
+    </div>`;
+}
+
+// Metrics with per-run distribution charts (values are read by
+// metricValue() in the report script)
+const DISTRIBUTION_METRICS = [
+  { key: "performance", name: "Performance Score", unit: "" },
+  { key: "fcp", name: "First Contentful Paint", unit: "ms" },
+  { key: "lcp", name: "Largest Contentful Paint", unit: "ms" },
+  { key: "tbt", name: "Total Blocking Time", unit: "ms" },
+  { key: "cls", name: "Cumulative Layout Shift", unit: "" },
+  { key: "ttfb", name: "Time to First Byte", unit: "ms" },
+  { key: "inp", name: "Interaction to Next Paint", unit: "ms" },
+];
+
+// Generate charts section: per-run distributions of one selectable metric
+function generateChartsSection(results, warmups = []) {
+  const options = DISTRIBUTION_METRICS.map(
+    (metric) => `<option value="${metric.key}">${metric.name}</option>`
+  ).join("");
+
   return `
     <div class="section">
         <div class="section-header">📊 Performance Charts</div>
         <div class="section-content">
+            <label class="chart-select">
+                Metric
+                <select id="distributionMetric" onchange="renderDistributionCharts(this.value)">${options}</select>
+            </label>
             <div class="chart-container">
-                <canvas id="performanceChart"></canvas>
+                <canvas id="boxPlotChart"></canvas>
             </div>
             <div class="chart-container">
-                <canvas id="webVitalsChart"></canvas>
+                <canvas id="scatterChart"></canvas>
             </div>
+            <p style="color: #718096; font-size: 0.9em;">
+                Boxes span the interquartile range with the median line; whiskers reach 1.5 × IQR and points beyond them are outliers.
+                ${
+                  warmups && warmups.length > 0
+                    ? "In the per-run chart, × marks warmup runs, which are excluded from every statistic."
+                    : "Warmup runs were not recorded for this run."
+                }
+            </p>
+        </div>
+    </div>`;
+}
+
+// Colors of the waterfall bars per resource type
+const RESOURCE_COLORS = {
+  document: "#4299e1",
+  script: "#ed8936",
+  stylesheet: "#9f7aea",
+  data: "#48bb78",
+  other: "#a0aec0",
+};
+
+// Generate resource waterfall section from Resource Timing entries; each
+// app/route shows its median run by load time
+function generateWaterfallSection(results) {
+  const groups = {};
+  for (const result of results || []) {
+    if (result.error || !result.pagePerformance?.resources) continue;
+    const key = [result.app, result.route, result.profile]
+      .filter(Boolean)
+      .join(" / ");
+    (groups[key] = groups[key] || []).push(result);
+  }
+
+  if (Object.keys(groups).length === 0) return "";
+
+  let content = `
+            <div style="margin-bottom: 15px; font-size: 0.9em;">
+                ${Object.entries(RESOURCE_COLORS)
+                  .map(
+                    ([type, color]) =>
+                      `<span style="display: inline-block; width: 12px; height: 12px; background: ${color}; margin: 0 5px 0 15px;"></span>${type}`
+                  )
+                  .join("")}
+            </div>`;
+
+  for (const [key, runs] of Object.entries(groups)) {
+    const sorted = [...runs].sort(
+      (a, b) =>
+        a.pagePerformance.performanceTiming.loadComplete -
+        b.pagePerformance.performanceTiming.loadComplete
+    );
+    const run = sorted[Math.floor(sorted.length / 2)];
+    const resources = [...run.pagePerformance.resources].sort(
+      (a, b) => a.startTime - b.startTime
+    );
+    const end = Math.max(
+      run.pagePerformance.performanceTiming.loadComplete,
+      ...resources.map((r) => r.startTime + r.duration)
+    );
+
+    const rows = resources
+      .map((resource) => {
+        const left = (resource.startTime / end) * 100;
+        const width = Math.max((resource.duration / end) * 100, 0.3);
+        const name = new URL(resource.url).pathname || resource.url;
+        const details = [
+          `${resource.type}, ${formatValue(resource.duration, "ms")}`,
+          `dns ${formatValue(resource.dns, "ms")}`,
+          `tcp ${formatValue(resource.tcp, "ms")}`,
+          `tls ${formatValue(resource.tls, "ms")}`,
+          `request ${formatValue(resource.request, "ms")}`,
+          `response ${formatValue(resource.response, "ms")}`,
+          `${formatBytes(resource.transferSize)} transferred`,
+          `${formatBytes(resource.decodedBodySize)} decoded`,
+        ].join(" · ");
+
+        return `
+                <div style="display: flex; align-items: center; font-size: 0.8em; border-bottom: 1px solid #edf2f7;" title="${escapeHtml(
+                  `${resource.url}\n${details}`
+                )}">
+                    <div style="width: 30%; padding: 2px 8px; font-family: monospace; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(
+                      name
+                    )}</div>
+                    <div style="width: 10%; padding: 2px 8px; text-align: right;">${formatBytes(
+                      resource.transferSize
+                    )}</div>
+                    <div style="width: 60%; position: relative; height: 14px;">
+                        <div style="position: absolute; left: ${left}%; width: ${width}%; height: 100%; background: ${
+          RESOURCE_COLORS[resource.type] || RESOURCE_COLORS.other
+        };"></div>
+                    </div>
+                </div>`;
+      })
+      .join("");
+
+    content += `
+            <h4 style="margin: 20px 0 10px; color: #2d3748;">${escapeHtml(
+              key
+            )} <span style="font-weight: normal; color: #718096;">(run ${
+      run.runIndex + 1
+    }, ${resources.length} requests, load ${formatValue(
+      run.pagePerformance.performanceTiming.loadComplete,
+      "ms"
+    )})</span></h4>
+            <div>${rows}
+            </div>`;
+  }
+
+  return `
+    <div class="section">
+        <div class="section-header">🌊 Resource Waterfall</div>
+        <div class="section-content">
+            ${content}
+        </div>
+    </div>`;
+}
+
+// Generate run-over-run trends section
+function generateTrendsSection(trends) {
+  if (!trends || trends.runs.length < 2) {
+    return `
+    <div class="section">
+        <div class="section-header">📈 Trends</div>
+        <div class="section-content">
+            At least two archived runs are needed to show trends (${
+              trends?.runs.length || 0
+            } found).
+        </div>
+    </div>`;
+  }
+
+  const first = trends.runs[0];
+  const last = trends.runs[trends.runs.length - 1];
+
+  return `
+    <div class="section">
+        <div class="section-header">📈 Trends</div>
+        <div class="section-content">
+            <p style="margin-bottom: 20px;">
+                ${trends.runs.length} archived runs from
+                ${new Date(first.timestamp).toLocaleString()} to
+                ${new Date(last.timestamp).toLocaleString()}.
+                Each point is the mean of that run.
+            </p>
+            ${trends.metrics
+              .map(
+                (metric) => `
+            <div class="chart-container">
+                <canvas id="trend-${metric.key}"></canvas>
+            </div>`
+              )
+              .join("")}
         </div>
     </div>`;
 }
@@ -636,7 +1159,7 @@ function generateRawDataSection(data) {
 }
 
 // Generate JavaScript for interactivity
-function generateJavaScript(results, comparison) {
+function generateJavaScript(results, warmups, trends) {
   return `
     function showTab(tabName) {
         const tabs = document.querySelectorAll('.tab');
@@ -649,41 +1172,85 @@ function generateJavaScript(results, comparison) {
         document.getElementById(tabName).classList.add('active');
     }
 
+    const results = ${JSON.stringify(results)};
+    const warmups = ${JSON.stringify(warmups)};
+    const distributionMetrics = ${JSON.stringify(DISTRIBUTION_METRICS)};
+    const distributionCharts = [];
+
+    Chart.register(ChartBoxPlot.BoxPlotController, ChartBoxPlot.BoxAndWiskers);
+
     // Initialize charts when DOM is loaded
     document.addEventListener('DOMContentLoaded', function() {
         initializeCharts();
     });
 
     function initializeCharts() {
-        const results = ${JSON.stringify(results)};
-        const comparison = ${JSON.stringify(comparison)};
-        
-        // Performance Score Chart
-        const performanceCtx = document.getElementById('performanceChart').getContext('2d');
-        createPerformanceChart(performanceCtx, results);
+        renderDistributionCharts(distributionMetrics[0].key);
         
-        // Web Vitals Chart
-        const webVitalsCtx = document.getElementById('webVitalsChart').getContext('2d');
-        createWebVitalsChart(webVitalsCtx, results);
+        // Run-over-run trend charts
+        const trends = ${JSON.stringify(trends)};
+        if (trends && trends.runs.length >= 2) {
+            trends.metrics.forEach(metric => {
+                const trendCtx = document.getElementById('trend-' + metric.key).getContext('2d');
+                createTrendChart(trendCtx, trends, metric);
+            });
+        }
+    }
+
+    // Evenly spread hues so any number of apps gets distinct colors; the
+    // first one is the report's accent color
+    function seriesColor(index, count, alpha) {
+        const hue = (234 + (index * 360) / Math.max(count, 1)) % 360;
+        return 'hsla(' + hue + ', 70%, 58%, ' + (alpha === undefined ? 1 : alpha) + ')';
+    }
+
+    function metricValue(result, key) {
+        const value = key === 'performance'
+            ? result.lighthouse?.performance
+            : key === 'ttfb' || key === 'inp'
+            ? result.webVitals?.[key]
+            : result.lighthouse?.metrics?.[key];
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    function metricTitle(metric) {
+        return metric.name + (metric.unit ? ' (' + metric.unit + ')' : '');
+    }
+
+    // Box plot and per-run scatter of one metric; re-rendered on selection
+    function renderDistributionCharts(key) {
+        const metric = distributionMetrics.find(metric => metric.key === key);
+        distributionCharts.splice(0).forEach(chart => chart.destroy());
+        distributionCharts.push(
+            createBoxPlotChart(document.getElementById('boxPlotChart').getContext('2d'), metric),
+            createScatterChart(document.getElementById('scatterChart').getContext('2d'), metric)
+        );
     }
 
-    function createPerformanceChart(ctx, results) {
+    function createBoxPlotChart(ctx, metric) {
         const groupedData = groupResultsByApp(results);
-        
-        new Chart(ctx, {
-            type: 'bar',
+        const groups = Object.keys(groupedData);
+        const routes = [...new Set(results.map(result => result.route))];
+
+        const datasets = groups.map((group, index) => ({
+            label: group,
+            data: routes.map(route => groupedData[group]
+                .filter(result => result.route === route)
+                .map(result => metricValue(result, metric.key))
+                .filter(value => value !== null)),
+            backgroundColor: seriesColor(index, groups.length, 0.35),
+            borderColor: seriesColor(index, groups.length),
+            borderWidth: 1,
+            outlierBackgroundColor: seriesColor(index, groups.length),
+            itemRadius: 2,
+            itemBackgroundColor: seriesColor(index, groups.length, 0.6)
+        }));
+
+        return new Chart(ctx, {
+            type: 'boxplot',
             data: {
-                labels: Object.keys(groupedData),
-                datasets: [{
-                    label: 'Performance Score',
-                    data: Object.values(groupedData).map(group => {
-                        const scores = group.map(r => r.lighthouse?.performance).filter(s => s);
-                        return scores.length > 0 ? scores.reduce((a, b) => a + b) / scores.length : 0;
-                    }),
-                    backgroundColor: ['#667eea', '#764ba2'],
-                    borderColor: ['#5a67d8', '#6b46c1'],
-                    borderWidth: 1
-                }]
+                labels: routes,
+                datasets: datasets
             },
             options: {
                 responsive: true,
@@ -691,40 +1258,99 @@ function generateJavaScript(results, comparison) {
                 plugins: {
                     title: {
                         display: true,
-                        text: 'Average Performance Scores'
+                        text: metricTitle(metric) + ' per route'
+                    }
+                }
+            }
+        });
+    }
+
+    function createScatterChart(ctx, metric) {
+        const groupedData = groupResultsByApp(results);
+        const groupedWarmups = groupResultsByApp(warmups);
+        const series = [];
+        Object.keys(groupedData).forEach(group => {
+            [...new Set(groupedData[group].map(result => result.route))].forEach(route => {
+                series.push({ group: group, route: route });
+            });
+        });
+
+        // Warmup runs come first on the x axis, then the measured runs
+        const datasets = series.map(({ group, route }, index) => {
+            const ofRoute = list => (list || []).filter(result => result.route === route);
+            const runs = ofRoute(groupedWarmups[group]).map(result => ({ result: result, warmup: true }))
+                .concat(ofRoute(groupedData[group]).map(result => ({ result: result, warmup: false })));
+            const points = runs
+                .map((run, runIndex) => ({
+                    x: runIndex + 1,
+                    y: metricValue(run.result, metric.key),
+                    warmup: run.warmup
+                }))
+                .filter(point => point.y !== null);
+
+            return {
+                label: group + ' · ' + route,
+                data: points,
+                backgroundColor: seriesColor(index, series.length, 0.7),
+                borderColor: seriesColor(index, series.length),
+                pointStyle: points.map(point => point.warmup ? 'crossRot' : 'circle'),
+                pointRadius: points.map(point => point.warmup ? 6 : 4),
+                pointBorderWidth: points.map(point => point.warmup ? 2 : 1)
+            };
+        });
+
+        return new Chart(ctx, {
+            type: 'scatter',
+            data: { datasets: datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: metricTitle(metric) + ' per run'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: context => context.dataset.label + ' – ' +
+                                (context.raw.warmup ? 'warmup' : 'run') + ' ' + context.raw.x + ': ' +
+                                context.raw.y.toFixed(metric.key === 'cls' ? 3 : 0)
+                        }
                     }
                 },
                 scales: {
+                    x: {
+                        title: { display: true, text: 'Run' },
+                        ticks: { stepSize: 1 }
+                    },
                     y: {
-                        beginAtZero: true,
-                        max: 100
+                        beginAtZero: true
                     }
                 }
             }
         });
     }
 
-    function createWebVitalsChart(ctx, results) {
-        const groupedData = groupResultsByApp(results);
-        const metrics = ['fcp', 'lcp', 'tbt'];
-        
-        const datasets = Object.keys(groupedData).map((app, index) => ({
-            label: app,
-            data: metrics.map(metric => {
-                const values = groupedData[app]
-                    .map(r => r.lighthouse?.metrics?.[metric])
-                    .filter(v => v !== null && v !== undefined);
-                return values.length > 0 ? values.reduce((a, b) => a + b) / values.length : 0;
-            }),
-            backgroundColor: index === 0 ? '#667eea' : '#764ba2',
-            borderColor: index === 0 ? '#5a67d8' : '#6b46c1',
-            borderWidth: 1
+    function createTrendChart(ctx, trends, metric) {
+        const labels = trends.runs.map(run => {
+            const date = new Date(run.timestamp).toLocaleString();
+            return run.gitSha ? [date, run.gitSha.slice(0, 7)] : date;
+        });
+        
+        const series = Object.entries(metric.series);
+        const datasets = series.map(([label, values], index) => ({
+            label: label,
+            data: values,
+            borderColor: seriesColor(index, series.length),
+            backgroundColor: seriesColor(index, series.length),
+            spanGaps: true,
+            tension: 0.2
         }));
 
         new Chart(ctx, {
-            type: 'bar',
+            type: 'line',
             data: {
-                labels: ['First Contentful Paint (ms)', 'Largest Contentful Paint (ms)', 'Total Blocking Time (ms)'],
+                labels: labels,
                 datasets: datasets
             },
             options: {
@@ -733,7 +1359,7 @@ function generateJavaScript(results, comparison) {
                 plugins: {
                     title: {
                         display: true,
-                        text: 'Core Web Vitals Comparison'
+                        text: metric.name + (metric.unit ? ' (' + metric.unit + ')' : '')
                     }
                 },
                 scales: {
@@ -746,12 +1372,15 @@ function generateJavaScript(results, comparison) {
     }
 
     function groupResultsByApp(results) {
+        // Profile matrix runs get one bar per app and profile
+        const profiles = new Set(results.map(result => result.profile).filter(Boolean));
         const grouped = {};
         results.forEach(result => {
-            if (!grouped[result.app]) {
-                grouped[result.app] = [];
+            const key = profiles.size > 1 ? result.app + ' (' + result.profile + ')' : result.app;
+            if (!grouped[key]) {
+                grouped[key] = [];
             }
-            grouped[result.app].push(result);
+            grouped[key].push(result);
         });
         return grouped;
     }
@@ -759,6 +1388,31 @@ function generateJavaScript(results, comparison) {
 }
 
 // Helper functions
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const k = 1024;
+  const sizes = ["B", "KB", "MB", "GB"];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), 3);
+  return `${(bytes / Math.pow(k, i)).toFixed(1)} ${sizes[i]}`;
+}
+
+// Confidence interval half-width of the mean, median and p95 of a metric
+function formatSpread(stats, unit) {
+  const margin = stats.ci ? stats.mean - stats.ci.lower : null;
+  return `± ${formatValue(margin, unit)} (95% CI) · median ${formatValue(
+    stats.median,
+    unit
+  )} · p95 ${formatValue(stats.p95, unit)}`;
+}
+
 function formatValue(value, unit) {
   if (value === null || value === undefined || isNaN(value)) return "N/A";
 
@@ -779,6 +1433,8 @@ function getPerformanceGrade(value, metric) {
     tbt: { good: 200, poor: 600 },
     tti: { good: 3800, poor: 7300 },
     si: { good: 3400, poor: 5800 },
+    ttfb: { good: 800, poor: 1800 },
+    inp: { good: 200, poor: 500 },
   };
 
   const threshold = thresholds[metric];
@@ -812,11 +1468,15 @@ function groupResults(results) {
   const grouped = {};
 
   for (const result of results) {
-    const key = `${result.app}-${result.route}`;
+    const scope = result.profile
+      ? `${result.route}@${result.profile}`
+      : result.route;
+    const key = `${result.app}-${scope}`;
     if (!grouped[key]) {
       grouped[key] = {
         app: result.app,
         route: result.route,
+        ...(result.profile ? { profile: result.profile } : {}),
         runs: [],
       };
     }
@@ -826,28 +1486,6 @@ function groupResults(results) {
   return grouped;
 }
 
-// Calculate statistics
-function calculateStats(values) {
-  if (!values || values.length === 0) return null;
-
-  const validValues = values.filter(
-    (v) => v !== null && v !== undefined && !isNaN(v)
-  );
-  if (validValues.length === 0) return null;
-
-  const sorted = [...validValues].sort((a, b) => a - b);
-  const sum = validValues.reduce((a, b) => a + b, 0);
-  const mean = sum / validValues.length;
-
-  return {
-    count: validValues.length,
-    min: Math.min(...validValues),
-    max: Math.max(...validValues),
-    mean: mean,
-    median: sorted[Math.floor(sorted.length / 2)],
-  };
-}
-
 // Analyze grouped results
 function analyzeGroupedResults(grouped) {
   const analysis = {};
@@ -876,6 +1514,24 @@ function analyzeGroupedResults(grouped) {
       .map((run) => run.lighthouse?.performance)
       .filter((v) => v !== null && v !== undefined && !isNaN(v));
 
+    // Extract web-vitals metrics and the most frequent LCP element
+    const webVitals = {};
+    for (const field of ["ttfb", "inp"]) {
+      const values = runs
+        .map((run) => run.webVitals?.[field])
+        .filter((v) => v !== null && v !== undefined && !isNaN(v));
+      webVitals[field] = calculateStats(values);
+    }
+    const lcpTargets = runs
+      .map((run) => run.webVitals?.attribution?.lcp?.target)
+      .filter(Boolean);
+    webVitals.lcpElement =
+      lcpTargets.sort(
+        (a, b) =>
+          lcpTargets.filter((t) => t === b).length -
+          lcpTargets.filter((t) => t === a).length
+      )[0] || null;
+
     analysis[key] = {
       ...group,
       runs: runs.length,
@@ -883,6 +1539,7 @@ function analyzeGroupedResults(grouped) {
         performanceScore: calculateStats(performanceScores),
         metrics: lighthouseMetrics,
       },
+      webVitals,
     };
   }
 
@@ -892,16 +1549,23 @@ function analyzeGroupedResults(grouped) {
 // Generate comparison between apps
 function generateComparison(analysis) {
   const comparison = {};
-  const routes = [...new Set(Object.values(analysis).map((a) => a.route))];
+  const scopes = [
+    ...new Set(
+      Object.values(analysis).map((a) =>
+        a.profile ? `${a.route}@${a.profile}` : a.route
+      )
+    ),
+  ];
 
-  for (const route of routes) {
+  for (const route of scopes) {
     const reactRouter = analysis[`react-router-${route}`];
     const tanstackRouter = analysis[`tanstack-router-${route}`];
 
     if (!reactRouter || !tanstackRouter) continue;
 
     comparison[route] = {
-      route,
+      route: reactRouter.route,
+      ...(reactRouter.profile ? { profile: reactRouter.profile } : {}),
       reactRouter,
       tanstackRouter,
       improvements: {},
@@ -934,7 +1598,7 @@ function generateComparison(analysis) {
 }
 
 // Main report generation function
-async function generateReport(filePath, outputPath) {
+async function generateReport(filePath, outputPath, options = {}) {
   try {
     log.info(`Loading results from: ${filePath}`);
     const data = await loadResults(filePath);
@@ -948,8 +1612,31 @@ async function generateReport(filePath, outputPath) {
     const analysis = analyzeGroupedResults(grouped);
     const comparison = generateComparison(analysis);
 
+    // Load archived runs for the trend charts
+    const history = await loadHistory(getHistoryDir(filePath), {
+      limit: options.historyLimit,
+    });
+    const trends = buildTrends(history);
+    if (history.length > 0) {
+      log.info(`Loaded ${history.length} archived runs for trends`);
+    }
+
+    // Bundle sizes from `pnpm run perf:bundle`, when available
+    let bundleStats = null;
+    if (options.bundleFile && (await fs.pathExists(options.bundleFile))) {
+      bundleStats = await fs.readJson(options.bundleFile);
+      log.info(`Loaded bundle stats from ${options.bundleFile}`);
+    }
+
     // Generate HTML report
-    const html = generateHTMLReport(data, analysis, comparison);
+    const html = generateHTMLReport(
+      data,
+      analysis,
+      comparison,
+      trends,
+      bundleStats,
+      await loadChartLibrary()
+    );
 
     // Write report file
     await fs.writeFile(outputPath, html);
@@ -974,6 +1661,16 @@ async function main() {
       description: "Output path for HTML report",
       default: "./reports/report.html",
     })
+    .option("history", {
+      type: "number",
+      description: "Number of archived runs to include in trend charts",
+      default: 20,
+    })
+    .option("bundle", {
+      type: "string",
+      description: "Bundle stats from perf:bundle to include",
+      default: "./reports/bundle-stats.json",
+    })
     .help()
     .parseSync();
 
@@ -1000,7 +1697,10 @@ async function main() {
     // Ensure output directory exists
     await fs.ensureDir(path.dirname(argv.output));
 
-    await generateReport(filePath, argv.output);
+    await generateReport(filePath, argv.output, {
+      historyLimit: argv.history,
+      bundleFile: argv.bundle,
+    });
 
     log.header("Report Generated Successfully!");
     log.info(`Open ${argv.output} in your browser to view the results`);
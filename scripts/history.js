@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark Results History
+ * Archives every benchmark run under <outputDir>/history so results are no
+ * longer lost when the next run overwrites the latest files, and lists the
+ * archived runs
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import yargs from "yargs";
+import chalk from "chalk";
+import { table } from "table";
+import { mean } from "./statistics.js";
+import { selectMetrics } from "./metrics.js";
+import dotenv from "dotenv";
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Utility functions
+const log = {
+  info: (msg) => console.log(chalk.blue("ℹ"), msg),
+  success: (msg) => console.log(chalk.green("✓"), msg),
+  error: (msg) => console.log(chalk.red("✗"), msg),
+  warn: (msg) => console.log(chalk.yellow("⚠"), msg),
+  header: (msg) =>
+    console.log(
+      chalk.bold.cyan(
+        "\n" + "=".repeat(50) + "\n" + msg + "\n" + "=".repeat(50)
+      )
+    ),
+};
+
+const INDEX_FILE = "index.json";
+
+// Metrics tracked over time
+const TREND_METRICS = selectMetrics([
+  "performanceScore",
+  "fcp",
+  "lcp",
+  "cls",
+  "tbt",
+  "tti",
+  "si",
+  "inp",
+  "navContentPainted",
+]);
+
+// History directory that belongs to a results file
+function getHistoryDir(resultsFile) {
+  return path.join(path.dirname(resultsFile), "history");
+}
+
+// Filesystem-safe, chronologically sortable run identifier
+function createRunId(timestamp, gitSha) {
+  const stamp = timestamp.replace(/[:.]/g, "-");
+  return gitSha ? `${stamp}-${gitSha.slice(0, 7)}` : stamp;
+}
+
+async function readIndex(historyDir) {
+  const indexFile = path.join(historyDir, INDEX_FILE);
+  if (!(await fs.pathExists(indexFile))) return [];
+
+  try {
+    return (await fs.readJson(indexFile)).runs || [];
+  } catch (error) {
+    log.warn(`Ignoring unreadable history index: ${error.message}`);
+    return [];
+  }
+}
+
+// Copy a results payload into the archive and record it in the index
+async function archiveResults(resultsFile, data) {
+  const metadata = data.metadata || {};
+  const historyDir = getHistoryDir(resultsFile);
+  const runId =
+    metadata.runId || createRunId(metadata.timestamp, metadata.gitSha);
+  const runDir = path.join(historyDir, runId);
+
+  await fs.ensureDir(runDir);
+  await fs.writeJson(path.join(runDir, path.basename(resultsFile)), data, {
+    spaces: 2,
+  });
+
+  const results = data.results || [];
+  const entry = {
+    id: runId,
+    timestamp: metadata.timestamp,
+    environment: metadata.environment || "local",
+    gitSha: metadata.gitSha || null,
+    gitDirty: metadata.gitDirty ?? null,
+    configHash: metadata.configHash || null,
+    frameworkVersions: metadata.frameworkVersions || {},
+    runs: metadata.runs,
+    apps: [...new Set(results.map((result) => result.app))],
+    routes: [...new Set(results.map((result) => result.route))],
+    results: results.length,
+    errors: results.filter((result) => result.error).length,
+    file: path.join(runId, path.basename(resultsFile)),
+  };
+
+  const runs = (await readIndex(historyDir)).filter((run) => run.id !== runId);
+  runs.push(entry);
+  runs.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  await fs.writeJson(
+    path.join(historyDir, INDEX_FILE),
+    { runs },
+    { spaces: 2 }
+  );
+
+  return path.join(historyDir, entry.file);
+}
+
+// Store an analysis next to the archived run it was computed from
+async function archiveAnalysis(resultsFile, analysisData) {
+  const runId = analysisData.metadata?.runId;
+  if (!runId) return null;
+
+  const runDir = path.join(getHistoryDir(resultsFile), runId);
+  if (!(await fs.pathExists(runDir))) return null;
+
+  const analysisFile = path.join(runDir, "benchmark-analysis.json");
+  await fs.writeJson(analysisFile, analysisData, { spaces: 2 });
+  return analysisFile;
+}
+
+// Archived runs, oldest first
+async function listRuns(historyDir, { limit } = {}) {
+  const runs = await readIndex(historyDir);
+  return limit ? runs.slice(-limit) : runs;
+}
+
+// Archived runs together with their results payloads
+async function loadHistory(historyDir, { limit } = {}) {
+  const runs = await listRuns(historyDir, { limit });
+  const loaded = [];
+
+  for (const run of runs) {
+    const file = path.join(historyDir, run.file);
+    try {
+      loaded.push({ ...run, data: await fs.readJson(file) });
+    } catch (error) {
+      log.warn(`Skipping archived run ${run.id}: ${error.message}`);
+    }
+  }
+
+  return loaded;
+}
+
+// Per-run means of every trend metric, one series per app, route and profile
+function buildTrends(history) {
+  const series = {};
+
+  history.forEach((run, runIndex) => {
+    const groups = {};
+    for (const result of run.data.results || []) {
+      if (result.error) continue;
+      const key = result.profile
+        ? `${result.app} ${result.route} (${result.profile})`
+        : `${result.app} ${result.route}`;
+      (groups[key] = groups[key] || []).push(result);
+    }
+
+    for (const [key, results] of Object.entries(groups)) {
+      for (const metric of TREND_METRICS) {
+        const values = results
+          .map(metric.extract)
+          .filter((v) => v !== null && v !== undefined && !isNaN(v));
+        if (values.length === 0) continue;
+
+        series[metric.key] = series[metric.key] || {};
+        series[metric.key][key] =
+          series[metric.key][key] || new Array(history.length).fill(null);
+        series[metric.key][key][runIndex] = mean(values);
+      }
+    }
+  });
+
+  return {
+    runs: history.map((run) => ({
+      id: run.id,
+      timestamp: run.timestamp,
+      gitSha: run.gitSha,
+      configHash: run.configHash,
+    })),
+    metrics: TREND_METRICS.filter((metric) => series[metric.key]).map(
+      (metric) => ({
+        key: metric.key,
+        name: metric.name,
+        unit: metric.unit,
+        series: series[metric.key],
+      })
+    ),
+  };
+}
+
+// Print archived runs as a table
+function displayRuns(runs) {
+  const tableData = [
+    ["Run", "Timestamp", "Git SHA", "Config", "Apps", "Results"],
+  ];
+
+  for (const run of runs) {
+    const sha = run.gitSha
+      ? run.gitSha.slice(0, 7) + (run.gitDirty ? "*" : "")
+      : "N/A";
+    tableData.push([
+      run.id,
+      new Date(run.timestamp).toLocaleString(),
+      sha,
+      run.configHash || "N/A",
+      run.apps.join("\n"),
+      run.errors > 0
+        ? `${run.results} (${chalk.red(`${run.errors} failed`)})`
+        : String(run.results),
+    ]);
+  }
+
+  console.log(table(tableData));
+}
+
+// CLI interface
+async function main() {
+  const argv = yargs(process.argv.slice(2))
+    .option("dir", {
+      type: "string",
+      description: "History directory to list",
+      default: "./reports/history",
+    })
+    .option("limit", {
+      type: "number",
+      description: "Show only the most recent N runs",
+      default: 20,
+    })
+    .option("json", {
+      type: "boolean",
+      description: "Print the index entries as JSON",
+      default: false,
+    })
+    .help()
+    .parseSync();
+
+  try {
+    const runs = await listRuns(argv.dir, { limit: argv.limit });
+
+    if (argv.json) {
+      console.log(JSON.stringify(runs, null, 2));
+      return;
+    }
+
+    if (runs.length === 0) {
+      log.warn(`No archived runs found in ${argv.dir}`);
+      log.info('Run "pnpm run perf:measure" to record one.');
+      return;
+    }
+
+    log.header("BENCHMARK HISTORY");
+    displayRuns(runs);
+    log.info(`${runs.length} run(s) from ${argv.dir}`);
+    log.info("* = measured with uncommitted changes");
+  } catch (error) {
+    log.error(`Failed to read history: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export {
+  archiveResults,
+  archiveAnalysis,
+  listRuns,
+  loadHistory,
+  buildTrends,
+  createRunId,
+  getHistoryDir,
+  TREND_METRICS,
+};
@@ -104,6 +104,14 @@ const lighthouseConfig = {
   },
 };
 
+// User flows score with Lighthouse's default performance category: the
+// custom category above only weights navigation metrics, while a timespan
+// is judged by INP, TBT and CLS
+const lighthouseFlowConfig = {
+  extends: "lighthouse:default",
+  settings: lighthouseConfig.settings,
+};
+
 // Chrome flags for consistent testing environment
 const chromeFlags = [
   "--headless=new",
@@ -130,4 +138,154 @@ const chromeFlags = [
   "--disable-device-discovery-notifications",
 ];
 
-export { lighthouseConfig, chromeFlags };
+// Devices a profile can emulate (Lighthouse screenEmulation + Puppeteer viewport)
+const DEVICES = {
+  desktop: {
+    formFactor: "desktop",
+    width: 1350,
+    height: 940,
+    deviceScaleFactor: 1,
+    mobile: false,
+    userAgent: lighthouseConfig.settings.emulatedUserAgent,
+  },
+  // Moto G Power, Lighthouse's default mobile device
+  mobile: {
+    formFactor: "mobile",
+    width: 412,
+    height: 823,
+    deviceScaleFactor: 1.75,
+    mobile: true,
+    userAgent:
+      "Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Mobile Safari/537.36",
+  },
+};
+
+// DevTools throttling applies per request, so Lighthouse scales RTT and
+// throughput by these factors to approximate the packet-level values
+const DEVTOOLS_RTT_ADJUSTMENT_FACTOR = 3.75;
+const DEVTOOLS_THROUGHPUT_ADJUSTMENT_FACTOR = 0.9;
+
+// Build Lighthouse settings and Puppeteer emulation from one description
+function createProfile({
+  description,
+  device,
+  network,
+  cpuSlowdownMultiplier,
+}) {
+  const { formFactor, width, height, deviceScaleFactor, mobile, userAgent } =
+    DEVICES[device];
+
+  const throttling = network
+    ? {
+        rttMs: network.rttMs,
+        throughputKbps: network.throughputKbps,
+        cpuSlowdownMultiplier,
+        requestLatencyMs: network.rttMs * DEVTOOLS_RTT_ADJUSTMENT_FACTOR,
+        downloadThroughputKbps:
+          network.throughputKbps * DEVTOOLS_THROUGHPUT_ADJUSTMENT_FACTOR,
+        uploadThroughputKbps:
+          network.uploadKbps * DEVTOOLS_THROUGHPUT_ADJUSTMENT_FACTOR,
+      }
+    : { ...lighthouseConfig.settings.throttling, cpuSlowdownMultiplier };
+
+  const throttled = network !== null || cpuSlowdownMultiplier > 1;
+
+  return {
+    description,
+    lighthouse: {
+      formFactor,
+      screenEmulation: {
+        mobile,
+        width,
+        height,
+        deviceScaleFactor,
+        disabled: false,
+      },
+      emulatedUserAgent: userAgent,
+      // "provided" leaves the browser unthrottled; "devtools" applies the
+      // same throttling the Puppeteer collectors see
+      throttlingMethod: throttled ? "devtools" : "provided",
+      throttling,
+    },
+    puppeteer: {
+      viewport: {
+        width,
+        height,
+        deviceScaleFactor,
+        isMobile: mobile,
+        hasTouch: mobile,
+      },
+      userAgent: mobile ? userAgent : null,
+      cpuSlowdownMultiplier,
+      network: network
+        ? {
+            latency: throttling.requestLatencyMs,
+            // Puppeteer expects bytes per second
+            download: (throttling.downloadThroughputKbps * 1024) / 8,
+            upload: (throttling.uploadThroughputKbps * 1024) / 8,
+          }
+        : null,
+    },
+  };
+}
+
+// Named device/network/CPU profiles selectable with --profile
+const profiles = {
+  "desktop-fast": createProfile({
+    description: "Desktop, unthrottled (the original benchmark profile)",
+    device: "desktop",
+    network: null,
+    cpuSlowdownMultiplier: 1,
+  }),
+  "desktop-edge": createProfile({
+    description: "Desktop behind an edge network: 100ms RTT, 5 Mbps, 1.5x CPU",
+    device: "desktop",
+    network: { rttMs: 100, throughputKbps: 5 * 1024, uploadKbps: 5 * 1024 },
+    cpuSlowdownMultiplier: 1.5,
+  }),
+  "mobile-4G": createProfile({
+    description: "Mobile on slow 4G: 150ms RTT, 1.6 Mbps, 4x CPU",
+    device: "mobile",
+    network: { rttMs: 150, throughputKbps: 1.6 * 1024, uploadKbps: 750 },
+    cpuSlowdownMultiplier: 4,
+  }),
+  "mobile-slow-3G": createProfile({
+    description: "Mobile on slow 3G: 400ms RTT, 400 Kbps, 4x CPU",
+    device: "mobile",
+    network: { rttMs: 400, throughputKbps: 400, uploadKbps: 400 },
+    cpuSlowdownMultiplier: 4,
+  }),
+  "low-end-cpu-6x": createProfile({
+    description: "Low-end mobile: slow 4G network, 6x CPU slowdown",
+    device: "mobile",
+    network: { rttMs: 150, throughputKbps: 1.6 * 1024, uploadKbps: 750 },
+    cpuSlowdownMultiplier: 6,
+  }),
+};
+
+const DEFAULT_PROFILE = "desktop-fast";
+
+// Expand profile names ("all" selects every profile) into [name, profile]
+function resolveProfiles(names = [DEFAULT_PROFILE]) {
+  const selected = names.includes("all") ? Object.keys(profiles) : names;
+
+  return selected.map((name) => {
+    if (!profiles[name]) {
+      throw new Error(
+        `Unknown profile "${name}" (expected one of ${Object.keys(
+          profiles
+        ).join(", ")} or all)`
+      );
+    }
+    return { name, ...profiles[name] };
+  });
+}
+
+export {
+  lighthouseConfig,
+  lighthouseFlowConfig,
+  chromeFlags,
+  profiles,
+  DEFAULT_PROFILE,
+  resolveProfiles,
+};
@@ -0,0 +1,176 @@
+/**
+ * Metric registry
+ * Every metric the tools compare, with how to read it from a single run
+ * (extract) and from an analysis entry (stats). The tools select their
+ * metrics from here by key, so the same key always means the same thing
+ */
+
+// Lower is better unless higherIsBetter is set; decimals is the display
+// precision and label an optional short name for summary tables
+const METRICS = {
+  performanceScore: {
+    name: "Performance Score",
+    unit: "",
+    decimals: 1,
+    higherIsBetter: true,
+    extract: (run) => run.lighthouse?.performance,
+    stats: (entry) => entry.lighthouse?.performanceScore,
+  },
+  fcp: {
+    name: "First Contentful Paint",
+    label: "FCP",
+    unit: "ms",
+    extract: (run) => run.lighthouse?.metrics?.fcp,
+    stats: (entry) => entry.lighthouse?.metrics?.fcp,
+  },
+  lcp: {
+    name: "Largest Contentful Paint",
+    label: "LCP",
+    unit: "ms",
+    extract: (run) => run.lighthouse?.metrics?.lcp,
+    stats: (entry) => entry.lighthouse?.metrics?.lcp,
+  },
+  cls: {
+    name: "Cumulative Layout Shift",
+    label: "CLS",
+    unit: "",
+    decimals: 3,
+    extract: (run) => run.lighthouse?.metrics?.cls,
+    stats: (entry) => entry.lighthouse?.metrics?.cls,
+  },
+  tbt: {
+    name: "Total Blocking Time",
+    label: "TBT",
+    unit: "ms",
+    extract: (run) => run.lighthouse?.metrics?.tbt,
+    stats: (entry) => entry.lighthouse?.metrics?.tbt,
+  },
+  tti: {
+    name: "Time to Interactive",
+    label: "TTI",
+    unit: "ms",
+    extract: (run) => run.lighthouse?.metrics?.tti,
+    stats: (entry) => entry.lighthouse?.metrics?.tti,
+  },
+  si: {
+    name: "Speed Index",
+    unit: "ms",
+    extract: (run) => run.lighthouse?.metrics?.si,
+    stats: (entry) => entry.lighthouse?.metrics?.si,
+  },
+  firstByte: {
+    name: "Time to First Byte (Navigation Timing)",
+    unit: "ms",
+    extract: (run) => run.pagePerformance?.performanceTiming?.firstByte,
+    stats: (entry) => entry.pagePerformance?.firstByte,
+  },
+  ttfb: {
+    name: "Time to First Byte",
+    label: "TTFB",
+    unit: "ms",
+    extract: (run) => run.webVitals?.ttfb,
+    stats: (entry) => entry.webVitals?.ttfb,
+  },
+  inp: {
+    name: "Interaction to Next Paint",
+    label: "INP",
+    unit: "ms",
+    extract: (run) => run.webVitals?.inp,
+    stats: (entry) => entry.webVitals?.inp,
+  },
+  domContentLoaded: {
+    name: "DOM Content Loaded",
+    unit: "ms",
+    extract: (run) => run.pagePerformance?.performanceTiming?.domContentLoaded,
+    stats: (entry) => entry.pagePerformance?.domContentLoaded,
+  },
+  navUrlChange: {
+    name: "Nav: URL Change",
+    unit: "ms",
+    extract: (run) => run.navigation?.urlChange,
+    stats: (entry) => entry.navigation?.urlChange,
+  },
+  navLoaderData: {
+    name: "Nav: Loader Data",
+    unit: "ms",
+    extract: (run) => run.navigation?.loaderData,
+    stats: (entry) => entry.navigation?.loaderData,
+  },
+  navContentPainted: {
+    name: "Nav: Content Painted",
+    unit: "ms",
+    extract: (run) => run.navigation?.contentPainted,
+    stats: (entry) => entry.navigation?.contentPainted,
+  },
+  docFirstChunk: {
+    name: "Document First Chunk",
+    unit: "ms",
+    extract: (run) => run.documentStream?.browser?.firstChunk,
+    stats: (entry) => entry.documentStream?.browser?.firstChunk,
+  },
+  docLastByte: {
+    name: "Document Last Byte",
+    unit: "ms",
+    extract: (run) => run.documentStream?.browser?.lastByte,
+    stats: (entry) => entry.documentStream?.browser?.lastByte,
+  },
+  hydration: {
+    name: "Hydration Duration",
+    label: "Hydration",
+    unit: "ms",
+    extract: (run) => run.hydration?.duration,
+    stats: (entry) => entry.hydration?.duration,
+  },
+  interactiveAfterFcp: {
+    name: "Interactive after FCP",
+    unit: "ms",
+    extract: (run) => run.hydration?.interactiveAfterFcp,
+    stats: (entry) => entry.hydration?.interactiveAfterFcp,
+  },
+  flowInp: {
+    name: "Flow: Transition INP",
+    unit: "ms",
+    extract: (run) => run.flow?.timespan?.inp,
+    stats: (entry) => entry.flow?.timespan?.inp,
+  },
+  bootupTime: {
+    name: "JavaScript Bootup Time",
+    unit: "ms",
+    extract: (run) => run.lighthouse?.diagnostics?.bootupTime,
+    stats: (entry) => entry.lighthouse?.diagnostics?.bootupTime,
+  },
+  longTasks: {
+    name: "Long Tasks (CPU profile)",
+    unit: "",
+    extract: (run) => run.cpu?.longTasks?.count,
+    stats: (entry) => entry.cpu?.longTasks?.count,
+  },
+  jsHeapUsed: {
+    name: "JS Heap Used",
+    unit: "bytes",
+    extract: (run) => run.memory?.route?.jsHeapUsed,
+    stats: (entry) => entry.memory?.route?.jsHeapUsed,
+  },
+  retainedHeap: {
+    name: "JS Heap Retained after Navigation",
+    unit: "bytes",
+    extract: (run) => run.memory?.retained?.jsHeapUsed,
+    stats: (entry) => entry.memory?.retained?.jsHeapUsed,
+  },
+  detachedNodes: {
+    name: "Detached DOM Nodes",
+    unit: "",
+    extract: (run) => run.memory?.cycle?.detachedNodes,
+    stats: (entry) => entry.memory?.cycle?.detachedNodes,
+  },
+};
+
+// Registry entries for the given keys, in order, with the key included
+function selectMetrics(keys) {
+  return keys.map((key) => {
+    if (!METRICS[key]) throw new Error(`Unknown metric "${key}"`);
+    return { key, decimals: 0, ...METRICS[key] };
+  });
+}
+
+export { METRICS, selectMetrics };
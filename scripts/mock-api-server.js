@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+
+/**
+ * Local JSONPlaceholder Stand-in Server
+ * Serves deterministic /posts, /users, /comments, /albums, /photos and /todos
+ * payloads with configurable latency, jitter and bandwidth so benchmarks do
+ * not depend on a third-party API
+ */
+
+import http from "http";
+import yargs from "yargs";
+import chalk from "chalk";
+import { getConfig } from "./config.js";
+import { createRandom } from "./statistics.js";
+import dotenv from "dotenv";
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Utility functions
+const log = {
+  info: (msg) => console.log(chalk.blue("ℹ"), msg),
+  success: (msg) => console.log(chalk.green("✓"), msg),
+  error: (msg) => console.log(chalk.red("✗"), msg),
+  warn: (msg) => console.log(chalk.yellow("⚠"), msg),
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Collection sizes match https://jsonplaceholder.typicode.com
+const COLLECTION_SIZES = {
+  posts: 100,
+  users: 10,
+  comments: 500,
+  albums: 100,
+  photos: 5000,
+  todos: 200,
+};
+
+const WORDS = (
+  "lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod " +
+  "tempor incididunt ut labore et dolore magna aliqua enim ad minim veniam " +
+  "quis nostrud exercitation ullamco laboris nisi aliquip ex ea commodo " +
+  "consequat duis aute irure in reprehenderit voluptate velit esse cillum " +
+  "fugiat nulla pariatur excepteur sint occaecat cupidatat non proident " +
+  "sunt culpa qui officia deserunt mollit anim id est laborum"
+).split(" ");
+
+const NAMES = [
+  "Leanne Graham",
+  "Ervin Howell",
+  "Clementine Bauch",
+  "Patricia Lebsack",
+  "Chelsey Dietrich",
+  "Dennis Schulist",
+  "Kurtis Weissnat",
+  "Nicholas Runolfsdottir",
+  "Glenna Reichert",
+  "Clementina DuBuque",
+];
+
+// Seeded, so every run serves byte-identical payloads
+function createGenerators(seed) {
+  const random = createRandom(seed);
+  const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+  const words = (min, max) =>
+    Array.from(
+      { length: int(min, max) },
+      () => WORDS[int(0, WORDS.length - 1)]
+    ).join(" ");
+  const lines = (count) =>
+    Array.from({ length: count }, () => words(6, 10)).join("\n");
+  const color = () => int(0, 0xffffff).toString(16).padStart(6, "0");
+
+  return { random, int, words, lines, color };
+}
+
+// Build all collections with the same shape as JSONPlaceholder
+function generateDataset(seed = 42) {
+  const gen = createGenerators(seed);
+
+  const users = Array.from({ length: COLLECTION_SIZES.users }, (_, i) => {
+    const name = NAMES[i % NAMES.length];
+    const username = name.split(" ")[0];
+    return {
+      id: i + 1,
+      name,
+      username,
+      email: `${username.toLowerCase()}@${gen.words(1, 1)}.biz`,
+      address: {
+        street: `${gen.words(1, 2)} Street`,
+        suite: `Apt. ${gen.int(100, 999)}`,
+        city: gen.words(1, 1),
+        zipcode: `${gen.int(10000, 99999)}-${gen.int(1000, 9999)}`,
+        geo: {
+          lat: (gen.random() * 180 - 90).toFixed(4),
+          lng: (gen.random() * 360 - 180).toFixed(4),
+        },
+      },
+      phone: [
+        "1",
+        gen.int(100, 999),
+        gen.int(100, 999),
+        gen.int(1000, 9999),
+      ].join("-"),
+      website: `${username.toLowerCase()}.org`,
+      company: {
+        name: `${gen.words(1, 2)} LLC`,
+        catchPhrase: gen.words(3, 5),
+        bs: gen.words(3, 4),
+      },
+    };
+  });
+
+  const posts = Array.from({ length: COLLECTION_SIZES.posts }, (_, i) => ({
+    userId: Math.floor(i / 10) + 1,
+    id: i + 1,
+    title: gen.words(3, 8),
+    body: gen.lines(4),
+  }));
+
+  const comments = Array.from(
+    { length: COLLECTION_SIZES.comments },
+    (_, i) => ({
+      postId: Math.floor(i / 5) + 1,
+      id: i + 1,
+      name: gen.words(3, 7),
+      email: `${gen.words(1, 1)}@${gen.words(1, 1)}.com`,
+      body: gen.lines(4),
+    })
+  );
+
+  const albums = Array.from({ length: COLLECTION_SIZES.albums }, (_, i) => ({
+    userId: Math.floor(i / 10) + 1,
+    id: i + 1,
+    title: gen.words(2, 6),
+  }));
+
+  const photos = Array.from({ length: COLLECTION_SIZES.photos }, (_, i) => {
+    const color = gen.color();
+    return {
+      albumId: Math.floor(i / 50) + 1,
+      id: i + 1,
+      title: gen.words(3, 8),
+      url: `https://via.placeholder.com/600/${color}`,
+      thumbnailUrl: `https://via.placeholder.com/150/${color}`,
+    };
+  });
+
+  const todos = Array.from({ length: COLLECTION_SIZES.todos }, (_, i) => ({
+    userId: Math.floor(i / 20) + 1,
+    id: i + 1,
+    title: gen.words(2, 6),
+    completed: gen.random() < 0.45,
+  }));
+
+  return { posts, users, comments, albums, photos, todos };
+}
+
+// Resolve the delay for a single response from latency and jitter settings
+function resolveDelay(latency, jitter) {
+  if (!jitter) return latency;
+  const offset = (Math.random() * 2 - 1) * jitter;
+  return Math.max(0, latency + offset);
+}
+
+// Write a payload, pacing chunks to emulate the configured bandwidth
+async function writeThrottled(res, buffer, bandwidthKbps) {
+  if (!bandwidthKbps || bandwidthKbps <= 0) {
+    res.end(buffer);
+    return;
+  }
+
+  const bytesPerSecond = (bandwidthKbps * 1024) / 8;
+  const chunkSize = 16 * 1024;
+  const started = Date.now();
+
+  for (let offset = 0; offset < buffer.length; offset += chunkSize) {
+    if (res.destroyed) return;
+
+    const chunk = buffer.subarray(offset, offset + chunkSize);
+    res.write(chunk);
+
+    // Sleep until the wall clock catches up with the bytes already sent
+    const sent = offset + chunk.length;
+    const expectedElapsed = (sent / bytesPerSecond) * 1000;
+    const actualElapsed = Date.now() - started;
+    if (expectedElapsed > actualElapsed) {
+      await sleep(expectedElapsed - actualElapsed);
+    }
+  }
+
+  res.end();
+}
+
+function writeJsonHead(res, statusCode, buffer, headers = {}) {
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": buffer.length,
+    "Access-Control-Allow-Origin": "*",
+    "Cache-Control": "no-store",
+    ...headers,
+  });
+}
+
+// Start the stand-in server and resolve once it is listening
+async function startMockApiServer(options = {}) {
+  const {
+    port = 4000,
+    host = "127.0.0.1",
+    latency = 0,
+    jitter = 0,
+    bandwidthKbps = 0,
+    seed = 42,
+    quiet = false,
+  } = options;
+
+  const dataset = generateDataset(seed);
+
+  // Serialize once up front so request handling only measures transport
+  const payloads = Object.fromEntries(
+    Object.entries(dataset).map(([name, items]) => [
+      name,
+      Buffer.from(JSON.stringify(items)),
+    ])
+  );
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, OPTIONS",
+        "Access-Control-Allow-Headers": "*",
+      });
+      res.end();
+      return;
+    }
+
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+    const [resource, id] = pathname.split("/").filter(Boolean);
+
+    if (!resource) {
+      const index = Buffer.from(
+        JSON.stringify({
+          resources: Object.keys(COLLECTION_SIZES),
+          latency,
+          jitter,
+          bandwidthKbps,
+        })
+      );
+      writeJsonHead(res, 200, index);
+      res.end(index);
+      return;
+    }
+
+    if (!payloads[resource] || req.method !== "GET") {
+      const notFound = Buffer.from("{}");
+      writeJsonHead(res, 404, notFound);
+      res.end(notFound);
+      return;
+    }
+
+    let body = payloads[resource];
+    if (id !== undefined) {
+      const item = dataset[resource].find((entry) => String(entry.id) === id);
+      if (!item) {
+        const notFound = Buffer.from("{}");
+        writeJsonHead(res, 404, notFound);
+        res.end(notFound);
+        return;
+      }
+      body = Buffer.from(JSON.stringify(item));
+    }
+
+    const delay = resolveDelay(latency, jitter);
+    if (delay > 0) {
+      await sleep(delay);
+    }
+
+    writeJsonHead(res, 200, body, {
+      "Server-Timing": `mock;desc="latency";dur=${delay.toFixed(1)}`,
+    });
+    await writeThrottled(res, body, bandwidthKbps);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  const url = `http://${host === "0.0.0.0" ? "localhost" : host}:${port}`;
+
+  if (!quiet) {
+    log.success(`Mock API server listening on ${url}`);
+    log.info(
+      `Latency: ${latency}ms ± ${jitter}ms, bandwidth: ${
+        bandwidthKbps > 0 ? `${bandwidthKbps} Kbps` : "unlimited"
+      }`
+    );
+  }
+
+  return {
+    server,
+    url,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
+
+// CLI interface
+async function main() {
+  const { mockApi: MOCK_API_CONFIG } = getConfig("local");
+
+  const argv = yargs(process.argv.slice(2))
+    .option("port", {
+      type: "number",
+      description: "Port to listen on",
+      default: MOCK_API_CONFIG.port,
+    })
+    .option("host", {
+      type: "string",
+      description: "Host interface to bind",
+      default: "127.0.0.1",
+    })
+    .option("latency", {
+      type: "number",
+      description: "Base response latency (ms)",
+      default: MOCK_API_CONFIG.latency,
+    })
+    .option("jitter", {
+      type: "number",
+      description: "Random latency jitter, applied as ± ms",
+      default: MOCK_API_CONFIG.jitter,
+    })
+    .option("bandwidth", {
+      type: "number",
+      description: "Response bandwidth in Kbps (0 = unlimited)",
+      default: MOCK_API_CONFIG.bandwidthKbps,
+    })
+    .help()
+    .parseSync();
+
+  try {
+    const mockApi = await startMockApiServer({
+      port: argv.port,
+      host: argv.host,
+      latency: argv.latency,
+      jitter: argv.jitter,
+      bandwidthKbps: argv.bandwidth,
+    });
+
+    const shutdown = async () => {
+      await mockApi.close();
+      process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+  } catch (error) {
+    log.error(`Mock API server failed to start: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { startMockApiServer, generateDataset, COLLECTION_SIZES };
@@ -8,7 +8,9 @@
 import { spawn, exec } from "child_process";
 import { promisify } from "util";
 import chalk from "chalk";
-import { runBenchmark } from "./performance-benchmark.js";
+import { runBenchmark } from "./benchmark-engine.js";
+import { createLocalTarget } from "./benchmark-targets.js";
+import { startMockApiServer } from "./mock-api-server.js";
 import { getConfig, getAllPorts } from "./config.js";
 import dotenv from "dotenv";
 
@@ -35,6 +37,18 @@ const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 // Server management
 let serverProcesses = [];
+let mockApiServer = null;
+
+async function startMockApi(config) {
+  if (!config.mockApi?.enabled) {
+    log.warn("Mock API disabled, apps will fetch from their default API");
+    return null;
+  }
+
+  log.info("Starting mock API server...");
+  mockApiServer = await startMockApiServer(config.mockApi);
+  return mockApiServer.url;
+}
 
 async function killExistingServers() {
   log.info("Checking for existing servers...");
@@ -60,7 +74,7 @@ async function killExistingServers() {
   }
 }
 
-async function startServer(config) {
+async function startServer(config, apiBaseUrl = null) {
   log.info(`Starting servers...`);
 
   return new Promise(async (resolve, reject) => {
@@ -69,6 +83,8 @@ async function startServer(config) {
       env: {
         ...process.env,
         NODE_ENV: "production",
+        // Read by each app's /posts loader (baked in at build time)
+        ...(apiBaseUrl ? { API_BASE_URL: apiBaseUrl } : {}),
       },
     });
 
@@ -157,6 +173,11 @@ async function stopServers() {
   // Force kill any remaining processes
   await killExistingServers();
 
+  if (mockApiServer) {
+    await mockApiServer.close();
+    mockApiServer = null;
+  }
+
   serverProcesses = [];
   log.success("All servers stopped");
 
@@ -206,18 +227,19 @@ async function main() {
     // Clean up any existing servers
     await killExistingServers();
 
+    // Start the local data API before the builds so its URL is baked in
+    const apiBaseUrl = await startMockApi(CONFIG);
+
     // Start servers
     log.header("Starting Production Servers");
-    await startServer(CONFIG);
+    await startServer(CONFIG, apiBaseUrl);
 
     // Wait a bit more to ensure servers are fully ready
     await sleep(3000);
 
     // Run performance benchmark
     log.header("Running Performance Benchmark");
-    const resultsFile = await runBenchmark({
-      config: CONFIG,
-    });
+    const resultsFile = await runBenchmark(createLocalTarget(CONFIG));
     log.success(`Performance testing completed: ${resultsFile}`);
 
     // Generate analysis and reports
@@ -0,0 +1,330 @@
+/**
+ * Analysis reporters
+ * A reporter turns the analysis data saved to benchmark-analysis.json into
+ * one output: { name, fileName, render(data) } where render returns the file
+ * contents. analyze-results.js selects reporters with --reporter, either by
+ * built-in name or as a path to a module whose default export is a reporter
+ */
+
+import path from "path";
+import { pathToFileURL } from "url";
+import { selectMetrics } from "./metrics.js";
+
+// Key metrics shown per app, route and profile, under their short labels;
+// the keys match the significance tests so winners can be looked up by key
+const SUMMARY_METRICS = selectMetrics([
+  "performanceScore",
+  "fcp",
+  "lcp",
+  "cls",
+  "tbt",
+  "si",
+  "ttfb",
+  "inp",
+  "navContentPainted",
+  "hydration",
+  "interactiveAfterFcp",
+  "flowInp",
+]).map((metric) => ({ ...metric, name: metric.label || metric.name }));
+
+// Analysis entries grouped by route and profile, with the matching
+// comparison (null when only one app was measured)
+function groupScopes({ analysis, comparison = {} }) {
+  const scopes = new Map();
+
+  for (const entry of Object.values(analysis)) {
+    if (entry.error) continue;
+
+    const key = entry.profile ? `${entry.route}@${entry.profile}` : entry.route;
+    if (!scopes.has(key)) {
+      scopes.set(key, {
+        route: entry.route,
+        profile: entry.profile || null,
+        entries: [],
+        comparison: comparison[key] || null,
+      });
+    }
+    scopes.get(key).entries.push(entry);
+  }
+
+  return [...scopes.values()];
+}
+
+function formatStat(value, { unit, decimals }) {
+  if (value === null || value === undefined || isNaN(value)) return "–";
+  return `${value.toFixed(decimals)}${unit}`;
+}
+
+// Pipes would end a Markdown table cell
+function escapeMarkdown(value) {
+  return String(value).replace(/\|/g, "\\|");
+}
+
+// Markdown tables per route, e.g. for a pull request comment
+const markdownReporter = {
+  name: "markdown",
+  fileName: "benchmark-summary.md",
+  render(data) {
+    const metadata = data.metadata || {};
+    const lines = ["## Router Performance Benchmark", ""];
+
+    const details = [
+      metadata.runId && `Run \`${metadata.runId}\``,
+      metadata.target && `target \`${metadata.target}\``,
+      metadata.gitSha && `commit \`${metadata.gitSha.slice(0, 7)}\``,
+      metadata.runs && `${metadata.runs} runs per test`,
+    ].filter(Boolean);
+    if (details.length > 0) {
+      lines.push(details.join(" · "), "");
+    }
+
+    for (const scope of groupScopes(data)) {
+      const apps = scope.entries.map((entry) => entry.app);
+      const summary = scope.comparison?.summary;
+
+      lines.push(
+        `### ${escapeMarkdown(scope.route)}${
+          scope.profile ? ` (${escapeMarkdown(scope.profile)})` : ""
+        }`,
+        "",
+        `| Metric | ${apps.map(escapeMarkdown).join(" | ")} |`,
+        `| --- | ${apps.map(() => "---:").join(" | ")} |`
+      );
+
+      for (const metric of SUMMARY_METRICS) {
+        const cells = scope.entries.map((entry) => {
+          const stats = metric.stats(entry);
+          if (!stats) return "–";
+          const margin = stats.ci ? stats.mean - stats.ci.lower : null;
+          const cell = `${formatStat(stats.mean, metric)}${
+            margin ? ` ± ${formatStat(margin, metric)}` : ""
+          }`;
+          return summary?.winners?.[metric.key] === entry.app
+            ? `**${cell}**`
+            : cell;
+        });
+        if (cells.every((cell) => cell === "–")) continue;
+
+        lines.push(`| ${metric.name} | ${cells.join(" | ")} |`);
+      }
+
+      lines.push(
+        "",
+        `Runs: ${scope.entries
+          .map((entry) => `${escapeMarkdown(entry.app)} ${entry.runs}`)
+          .join(", ")}. Mean ± 95% CI.${
+          summary
+            ? ` **Bold**: significantly better than every other app (α = ${summary.alpha}).`
+            : ""
+        }`
+      );
+
+      if (summary?.underpowered) {
+        lines.push(
+          "",
+          `> Too few runs for significance at α = ${summary.alpha}: at least ${summary.minimumRuns} runs per app are needed.`
+        );
+      }
+
+      if (summary) {
+        lines.push(
+          "",
+          summary.overallWinner
+            ? `Overall winner: **${escapeMarkdown(summary.overallWinner)}** (${
+                summary.wins[summary.overallWinner]
+              } significant wins)`
+            : "Overall winner: none (no clear lead in significant wins)"
+        );
+      }
+
+      const outliers = scope.entries.filter(
+        (entry) => entry.outliers?.runs.length > 0
+      );
+      if (outliers.length > 0) {
+        lines.push(
+          "",
+          `Outlier runs (${outliers[0].outliers.method.toUpperCase()}, ${
+            outliers[0].outliers.excluded ? "excluded" : "kept"
+          }): ${outliers
+            .map(
+              (entry) =>
+                `${escapeMarkdown(entry.app)} ${entry.outliers.runs
+                  .map((run) => `#${run.runIndex + 1}`)
+                  .join(", ")}`
+            )
+            .join("; ")}`
+        );
+      }
+
+      lines.push("");
+    }
+
+    return lines.join("\n");
+  },
+};
+
+const CSV_COLUMNS = [
+  "app",
+  "route",
+  "profile",
+  "metric",
+  "unit",
+  "count",
+  "mean",
+  "median",
+  "p75",
+  "p90",
+  "p95",
+  "p99",
+  "min",
+  "max",
+  "stdDev",
+  "standardError",
+  "ciLower",
+  "ciUpper",
+];
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per app, route, profile and metric, e.g. for spreadsheets
+const csvReporter = {
+  name: "csv",
+  fileName: "benchmark-summary.csv",
+  render(data) {
+    const rows = [CSV_COLUMNS];
+
+    for (const scope of groupScopes(data)) {
+      for (const entry of scope.entries) {
+        for (const metric of SUMMARY_METRICS) {
+          const stats = metric.stats(entry);
+          if (!stats) continue;
+
+          rows.push([
+            entry.app,
+            entry.route,
+            entry.profile || "",
+            metric.key,
+            metric.unit,
+            stats.count,
+            stats.mean,
+            stats.median,
+            stats.p75,
+            stats.p90,
+            stats.p95,
+            stats.p99,
+            stats.min,
+            stats.max,
+            stats.stdDev,
+            stats.standardError,
+            stats.ci?.lower,
+            stats.ci?.upper,
+          ]);
+        }
+      }
+    }
+
+    return rows.map((row) => row.map(escapeCsv).join(",")).join("\n") + "\n";
+  },
+};
+
+// Compact machine-readable summary: key statistics and winners only
+const jsonReporter = {
+  name: "json",
+  fileName: "benchmark-summary.json",
+  render(data) {
+    const metadata = data.metadata || {};
+    const round = (value) =>
+      typeof value === "number" ? Math.round(value * 1000) / 1000 : null;
+
+    const scopes = groupScopes(data).map((scope) => ({
+      route: scope.route,
+      ...(scope.profile ? { profile: scope.profile } : {}),
+      apps: Object.fromEntries(
+        scope.entries.map((entry) => [
+          entry.app,
+          {
+            runs: entry.runs,
+            metrics: Object.fromEntries(
+              SUMMARY_METRICS.filter((metric) => metric.stats(entry)).map(
+                (metric) => {
+                  const stats = metric.stats(entry);
+                  return [
+                    metric.key,
+                    {
+                      mean: round(stats.mean),
+                      median: round(stats.median),
+                      p95: round(stats.p95),
+                      ci: stats.ci
+                        ? [round(stats.ci.lower), round(stats.ci.upper)]
+                        : null,
+                    },
+                  ];
+                }
+              )
+            ),
+            ...(entry.outliers?.runs.length > 0
+              ? { outlierRuns: entry.outliers.runs.length }
+              : {}),
+          },
+        ])
+      ),
+      ...(scope.comparison?.summary
+        ? {
+            winners: scope.comparison.summary.winners,
+            overallWinner: scope.comparison.summary.overallWinner,
+          }
+        : {}),
+    }));
+
+    return (
+      JSON.stringify(
+        {
+          runId: metadata.runId || null,
+          timestamp: metadata.timestamp || data.timestamp || null,
+          gitSha: metadata.gitSha || null,
+          target: metadata.target || null,
+          scopes,
+        },
+        null,
+        2
+      ) + "\n"
+    );
+  },
+};
+
+const BUILTIN_REPORTERS = {
+  markdown: markdownReporter,
+  csv: csvReporter,
+  json: jsonReporter,
+};
+
+// Built-in reporter by name, or the default export of a reporter module
+async function loadReporter(nameOrPath, builtins = BUILTIN_REPORTERS) {
+  if (builtins[nameOrPath]) {
+    return builtins[nameOrPath];
+  }
+
+  if (!/[\\/]|\.[cm]?js$/.test(nameOrPath)) {
+    throw new Error(
+      `Unknown reporter "${nameOrPath}" (expected one of ${Object.keys(
+        builtins
+      ).join(", ")} or a path to a reporter module)`
+    );
+  }
+
+  const module = await import(pathToFileURL(path.resolve(nameOrPath)).href);
+  const reporter = module.default;
+  if (!reporter || typeof reporter.render !== "function") {
+    throw new Error(
+      `Reporter module ${nameOrPath} must export a default { name, fileName, render(data) }`
+    );
+  }
+
+  return { name: path.basename(nameOrPath), ...reporter };
+}
+
+export { loadReporter, BUILTIN_REPORTERS, SUMMARY_METRICS };
@@ -0,0 +1,239 @@
+/**
+ * Run metadata helpers
+ * Identifies what was measured and how: git revision, configuration hash,
+ * resolved tool and framework versions, and the host machine
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+import crypto from "crypto";
+import { execSync } from "child_process";
+
+// Packages whose versions matter for a router comparison
+const FRAMEWORK_PACKAGES = [
+  "react",
+  "react-dom",
+  "react-router",
+  "@tanstack/react-router",
+  "next",
+  "@opennextjs/cloudflare",
+];
+
+// Current git commit, or null outside a repository
+function getGitSha() {
+  try {
+    return execSync("git rev-parse HEAD", {
+      stdio: ["ignore", "pipe", "ignore"],
+    })
+      .toString()
+      .trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Whether the working tree has uncommitted changes
+function isGitDirty() {
+  try {
+    return (
+      execSync("git status --porcelain", {
+        stdio: ["ignore", "pipe", "ignore"],
+      })
+        .toString()
+        .trim().length > 0
+    );
+  } catch (error) {
+    return null;
+  }
+}
+
+// Serialize with sorted keys so equal configs always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Short hash identifying a benchmark configuration
+function hashConfig(config) {
+  return crypto
+    .createHash("sha256")
+    .update(stableStringify(config))
+    .digest("hex")
+    .slice(0, 12);
+}
+
+// Direct dependency versions of a project from its pnpm-lock.yaml
+async function readLockfileVersions(projectDir) {
+  const lockfile = path.join(projectDir, "pnpm-lock.yaml");
+  if (!(await fs.pathExists(lockfile))) return {};
+
+  // Only the root importer is needed, so a line scan avoids a YAML parser:
+  //   importers:
+  //     .:
+  //       dependencies:
+  //         react:
+  //           specifier: ^19.1.0
+  //           version: 19.1.1
+  const versions = {};
+  let inRootImporter = false;
+  let currentPackage = null;
+
+  for (const line of (await fs.readFile(lockfile, "utf8")).split("\n")) {
+    if (line === "  .:") {
+      inRootImporter = true;
+      continue;
+    }
+    if (!inRootImporter) continue;
+    if (/^ {0,2}\S/.test(line)) break;
+
+    const packageMatch = line.match(/^ {6}['"]?([^'":]+)['"]?:\s*$/);
+    if (packageMatch) {
+      currentPackage = packageMatch[1];
+      continue;
+    }
+
+    const versionMatch = line.match(/^ {8}version: (\S+)/);
+    if (versionMatch && currentPackage) {
+      // Drop peer dependency suffixes such as 19.1.1(react@19.1.1)
+      versions[currentPackage] = versionMatch[1].replace(/\(.*$/, "");
+    }
+  }
+
+  return versions;
+}
+
+// Resolved version of a package: node_modules first, then the lockfile
+async function resolvePackageVersion(projectDir, packageName, lockVersions) {
+  const installed = path.join(
+    projectDir,
+    "node_modules",
+    packageName,
+    "package.json"
+  );
+
+  try {
+    if (await fs.pathExists(installed)) {
+      return (await fs.readJson(installed)).version;
+    }
+  } catch (error) {
+    // Fall through to the lockfile
+  }
+
+  return lockVersions[packageName] || null;
+}
+
+// Versions of the measurement tooling installed at the repository root
+async function getToolVersions() {
+  const root = process.cwd();
+  const lockVersions = await readLockfileVersions(root);
+
+  return {
+    lighthouseVersion: await resolvePackageVersion(
+      root,
+      "lighthouse",
+      lockVersions
+    ),
+    puppeteerVersion: await resolvePackageVersion(
+      root,
+      "puppeteer",
+      lockVersions
+    ),
+    chromeLauncherVersion: await resolvePackageVersion(
+      root,
+      "chrome-launcher",
+      lockVersions
+    ),
+    nodeVersion: process.version,
+  };
+}
+
+// Version of the Chrome build Puppeteer is driving
+async function getChromeVersion(browser) {
+  if (!browser) return null;
+
+  try {
+    // e.g. "HeadlessChrome/139.0.7258.66"
+    const product = await browser.version();
+    return product.split("/").pop();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Hardware and OS of the machine running the benchmark
+function getHostInfo() {
+  const cpus = os.cpus();
+
+  return {
+    platform: os.platform(),
+    release: os.release(),
+    arch: os.arch(),
+    cpuModel: cpus[0]?.model.trim() || null,
+    cpuCores: cpus.length,
+    cpuSpeedMHz: cpus[0]?.speed || null,
+    totalMemory: os.totalmem(),
+    freeMemory: os.freemem(),
+    loadAverage: os.loadavg(),
+  };
+}
+
+// Framework versions per app, keyed by app name (= project directory)
+async function getFrameworkVersions(apps) {
+  const versions = {};
+
+  for (const app of apps) {
+    const appDir = path.join(process.cwd(), app.name);
+    const packageFile = path.join(appDir, "package.json");
+
+    if (!(await fs.pathExists(packageFile))) continue;
+
+    const pkg = await fs.readJson(packageFile);
+    const declared = { ...pkg.devDependencies, ...pkg.dependencies };
+    const lockVersions = await readLockfileVersions(appDir);
+
+    versions[app.name] = {};
+    for (const packageName of FRAMEWORK_PACKAGES) {
+      if (declared[packageName]) {
+        // Keep the declared range when nothing is installed or locked
+        versions[app.name][packageName] =
+          (await resolvePackageVersion(appDir, packageName, lockVersions)) ||
+          declared[packageName];
+      }
+    }
+  }
+
+  return versions;
+}
+
+// Metadata identifying a benchmark run
+async function collectRunMetadata(config, { browser } = {}) {
+  return {
+    gitSha: getGitSha(),
+    gitDirty: isGitDirty(),
+    configHash: hashConfig(config),
+    ...(await getToolVersions()),
+    chromeVersion: await getChromeVersion(browser),
+    host: getHostInfo(),
+    frameworkVersions: await getFrameworkVersions(config.apps || []),
+  };
+}
+
+export {
+  collectRunMetadata,
+  getGitSha,
+  hashConfig,
+  getToolVersions,
+  getChromeVersion,
+  getHostInfo,
+  getFrameworkVersions,
+  FRAMEWORK_PACKAGES,
+};
@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+
+/**
+ * Scenario Benchmark
+ * Runs multi-step user journeys (see scenarios.js) against every app of a
+ * benchmark target and reports the duration of each step
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import yargs from "yargs";
+import chalk from "chalk";
+import puppeteer from "puppeteer";
+import { table } from "table";
+import { checkServerHealth } from "./benchmark-engine.js";
+import { createTarget, TARGETS } from "./benchmark-targets.js";
+import {
+  chromeFlags,
+  profiles,
+  DEFAULT_PROFILE,
+  resolveProfiles,
+} from "./lighthouse-config.js";
+import {
+  loadScenarios,
+  runScenario,
+  DEFAULT_SCENARIO_DIR,
+} from "./scenarios.js";
+import { collectRunMetadata } from "./run-metadata.js";
+import { createRunId } from "./history.js";
+import { calculateStats } from "./statistics.js";
+import dotenv from "dotenv";
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Utility functions
+const log = {
+  info: (msg) => console.log(chalk.blue("ℹ"), msg),
+  success: (msg) => console.log(chalk.green("✓"), msg),
+  error: (msg) => console.log(chalk.red("✗"), msg),
+  warn: (msg) => console.log(chalk.yellow("⚠"), msg),
+  header: (msg) =>
+    console.log(
+      chalk.bold.cyan(
+        "\n" + "=".repeat(50) + "\n" + msg + "\n" + "=".repeat(50)
+      )
+    ),
+};
+
+// Sleep utility
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const RESULTS_FILE = "scenario-results.json";
+
+// Run every scenario against one app, warmups first
+async function testAppScenarios(app, scenarios, config, browser) {
+  log.header(`Testing ${app.name.toUpperCase()} scenarios`);
+
+  if (!(await checkServerHealth(app.url))) {
+    log.error(`Server for ${app.name} is not reachable at ${app.url}.`);
+    return [];
+  }
+
+  const results = [];
+
+  for (const profile of resolveProfiles(config.profiles)) {
+    for (const scenario of scenarios) {
+      const label = `${app.name}/${scenario.name}${
+        config.profiles.length > 1 ? ` (${profile.name})` : ""
+      }`;
+      const total = config.warmupRuns + config.runs;
+
+      for (let i = 0; i < total; i++) {
+        const warmup = i < config.warmupRuns;
+        const runIndex = warmup ? i : i - config.warmupRuns;
+        const run = `${warmup ? "warmup" : "run"} ${runIndex + 1}`;
+
+        if (i > 0) {
+          await sleep(config.waitTime);
+        }
+
+        const result = {
+          app: app.name,
+          scenario: scenario.name,
+          timestamp: new Date().toISOString(),
+          runIndex,
+          ...(warmup ? { warmup: true } : {}),
+          ...(config.profiles.length > 1 ? { profile: profile.name } : {}),
+        };
+
+        try {
+          Object.assign(
+            result,
+            await runScenario(app.url, scenario, browser, profile)
+          );
+        } catch (error) {
+          result.error = error.message;
+        }
+
+        if (result.error) {
+          log.warn(`${label} ${run} failed: ${result.error}`);
+        } else {
+          log.success(`${label} ${run}: ${Math.round(result.total)}ms`);
+        }
+        results.push(result);
+      }
+    }
+  }
+
+  return results;
+}
+
+// Run the scenarios against every app of a target and save the results
+async function runScenarioBenchmark(target, scenarios) {
+  const { config } = target;
+
+  log.header(`${target.title}: Scenarios`);
+  log.info(
+    `Scenarios: ${scenarios.map((scenario) => scenario.name).join(", ")}`
+  );
+  await fs.ensureDir(config.outputDir);
+
+  const browser = await puppeteer.launch({
+    headless: "new",
+    args: chromeFlags.filter(
+      (flag) => !flag.includes("--remote-debugging-port")
+    ),
+  });
+
+  try {
+    // Apps run one after another so they never compete for the CPU
+    const allResults = [];
+    for (const app of config.apps) {
+      allResults.push(
+        ...(await testAppScenarios(app, scenarios, config, browser))
+      );
+    }
+
+    const timestamp = new Date().toISOString();
+    const runMetadata = await collectRunMetadata(config, { browser });
+    const resultsFile = path.join(config.outputDir, RESULTS_FILE);
+    const resultsData = {
+      metadata: {
+        runId: createRunId(timestamp, runMetadata.gitSha),
+        timestamp,
+        target: target.name,
+        environment: target.environment,
+        runs: config.runs,
+        ...runMetadata,
+      },
+      scenarios,
+      results: allResults.filter((result) => !result.warmup),
+      warmups: allResults.filter((result) => result.warmup),
+    };
+    await fs.writeJson(resultsFile, resultsData, { spaces: 2 });
+    log.success(`Results saved to: ${resultsFile}`);
+
+    return resultsData;
+  } finally {
+    await browser.close();
+  }
+}
+
+// Step statistics per scenario, profile and app
+function summarizeScenarios(data) {
+  const groups = new Map();
+
+  for (const result of data.results) {
+    const key = `${result.scenario}@${result.profile || ""}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        scenario: result.scenario,
+        profile: result.profile || null,
+        apps: {},
+      });
+    }
+
+    const group = groups.get(key);
+    group.apps[result.app] ||= { runs: [], failed: 0 };
+    if (result.error) {
+      group.apps[result.app].failed++;
+    } else {
+      group.apps[result.app].runs.push(result);
+    }
+  }
+
+  return [...groups.values()].map((group) => {
+    const scenario = data.scenarios.find(
+      (scenario) => scenario.name === group.scenario
+    );
+    const apps = Object.entries(group.apps).map(([app, { runs, failed }]) => ({
+      app,
+      runs: runs.length,
+      failed,
+      // Steps are aligned by position, the names come from the first run
+      steps: (runs[0]?.steps || []).map((step, index) => ({
+        name: step.name,
+        stats: calculateStats(runs.map((run) => run.steps[index].duration)),
+      })),
+      total: calculateStats(runs.map((run) => run.total)),
+    }));
+
+    return { ...group, description: scenario?.description || null, apps };
+  });
+}
+
+const formatMs = (stats) =>
+  stats ? `${Math.round(stats.median)}ms (p95 ${Math.round(stats.p95)})` : "–";
+
+// One table per scenario: steps as rows, apps as columns
+function displayScenarioSummary(summary) {
+  log.header("SCENARIO RESULTS");
+
+  for (const group of summary) {
+    const stepNames = group.apps.find((app) => app.steps.length > 0)?.steps;
+    if (!stepNames) {
+      log.warn(`${group.scenario}: every run failed`);
+      continue;
+    }
+
+    const tableData = [["Step", ...group.apps.map((app) => app.app)]];
+    stepNames.forEach((step, index) => {
+      tableData.push([
+        step.name,
+        ...group.apps.map((app) => formatMs(app.steps[index]?.stats)),
+      ]);
+    });
+    tableData.push([
+      chalk.bold("Total"),
+      ...group.apps.map((app) => chalk.bold(formatMs(app.total))),
+    ]);
+
+    console.log(
+      table(tableData, {
+        header: {
+          alignment: "center",
+          content: `${group.scenario}${
+            group.profile ? ` (${group.profile})` : ""
+          }${group.description ? ` – ${group.description}` : ""}`,
+        },
+      })
+    );
+
+    for (const app of group.apps.filter((app) => app.failed > 0)) {
+      log.warn(
+        `${app.app}: ${app.failed} failed run(s) excluded from the statistics`
+      );
+    }
+  }
+
+  console.log("Median step duration (p95) in ms");
+}
+
+// Options that select the target; its config supplies the other defaults
+const targetOptions = (cli) =>
+  cli
+    .option("target", {
+      type: "string",
+      description: "What to measure",
+      choices: TARGETS,
+      default: "local",
+    })
+    .option("url", {
+      type: "array",
+      description: 'App URL for the urls target, optionally "name=https://…"',
+    });
+
+// CLI interface
+async function main() {
+  try {
+    const { target: targetName, url: urls } = targetOptions(
+      yargs(process.argv.slice(2))
+    )
+      .help(false)
+      .version(false)
+      .parseSync();
+    const target = createTarget(targetName, { urls });
+    const { config } = target;
+
+    const argv = targetOptions(yargs(process.argv.slice(2)))
+      .option("scenario", {
+        type: "array",
+        description: `Scenario files (default: every file in ${DEFAULT_SCENARIO_DIR})`,
+      })
+      .option("apps", {
+        type: "array",
+        description: `Apps to test (default: all of ${config.apps
+          .map((app) => app.name)
+          .join(", ")})`,
+      })
+      .option("runs", {
+        type: "number",
+        description: "Number of measurement runs per scenario",
+        default: config.runs,
+      })
+      .option("warmup-runs", {
+        type: "number",
+        description:
+          "Number of warmup runs per scenario (excluded from the statistics)",
+        default: config.warmupRuns,
+      })
+      .option("profile", {
+        type: "array",
+        description: `Device/network profiles to run as a matrix (${Object.keys(
+          profiles
+        ).join(", ")} or all)`,
+        default: config.profiles || [DEFAULT_PROFILE],
+      })
+      .help()
+      .parseSync();
+
+    const scenarios = await loadScenarios(argv.scenario);
+    const data = await runScenarioBenchmark(
+      {
+        ...target,
+        config: {
+          ...config,
+          apps: argv.apps
+            ? config.apps.filter((app) => argv.apps.includes(app.name))
+            : config.apps,
+          runs: argv.runs,
+          warmupRuns: argv.warmupRuns,
+          profiles: resolveProfiles(argv.profile).map(
+            (profile) => profile.name
+          ),
+        },
+      },
+      scenarios
+    );
+
+    displayScenarioSummary(summarizeScenarios(data));
+  } catch (error) {
+    log.error(`Scenario benchmark failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { runScenarioBenchmark, summarizeScenarios, displayScenarioSummary };
@@ -0,0 +1,272 @@
+/**
+ * User journey scenarios
+ * A scenario is a JSON file (or a JS module with a default export) with a
+ * name and a list of steps that Puppeteer runs in one tab, timing each step:
+ *
+ *   { "name": "browse-posts", "steps": [
+ *       { "action": "visit", "path": "/" },
+ *       { "action": "click", "selector": "a[href=\"/posts\"]",
+ *         "waitFor": { "selector": "h1", "text": "Posts (" } },
+ *       { "action": "scroll", "to": "bottom" },
+ *       { "action": "back", "path": "/" } ] }
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import { pathToFileURL } from "url";
+import { performance } from "perf_hooks";
+import { preparePage } from "./benchmark-engine.js";
+
+const DEFAULT_SCENARIO_DIR = "./scripts/scenarios";
+const STEP_TIMEOUT = 30000;
+
+// Step actions with their required fields
+const STEP_ACTIONS = {
+  visit: ["path"],
+  click: ["selector"],
+  waitForText: ["text"],
+  waitForSelector: ["selector"],
+  scroll: [],
+  back: [],
+  wait: ["ms"],
+};
+
+// Check a scenario's shape up front so a typo fails before any app is run
+function validateScenario(scenario, source) {
+  const fail = (message) => {
+    throw new Error(`Invalid scenario ${source}: ${message}`);
+  };
+
+  if (!scenario || typeof scenario.name !== "string" || !scenario.name) {
+    fail("a name is required");
+  }
+  if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+    fail("at least one step is required");
+  }
+
+  scenario.steps.forEach((step, index) => {
+    const label = `step ${index + 1}`;
+    const required = STEP_ACTIONS[step?.action];
+    if (!required) {
+      fail(
+        `${label} has unknown action "${
+          step?.action
+        }" (expected one of ${Object.keys(STEP_ACTIONS).join(", ")})`
+      );
+    }
+    for (const field of required) {
+      if (step[field] === undefined) {
+        fail(`${label} (${step.action}) needs "${field}"`);
+      }
+    }
+    if (step.waitFor && !step.waitFor.selector && !step.waitFor.text) {
+      fail(`${label} waitFor needs a selector or text`);
+    }
+    if (
+      step.action === "scroll" &&
+      step.to !== undefined &&
+      !["top", "bottom"].includes(step.to) &&
+      typeof step.to !== "number"
+    ) {
+      fail(`${label} scroll target must be "top", "bottom" or a pixel offset`);
+    }
+  });
+
+  if (scenario.steps[0].action !== "visit") {
+    fail("the first step must be a visit");
+  }
+
+  return scenario;
+}
+
+// Step names default to the action and its main argument, e.g. "click a.more"
+function stepName(step) {
+  if (step.name) return step.name;
+  const argument =
+    step.path ?? step.selector ?? step.text ?? step.to ?? step.ms;
+  return argument === undefined ? step.action : `${step.action} ${argument}`;
+}
+
+async function loadScenarioFile(file) {
+  const scenario = /\.[cm]?js$/.test(file)
+    ? (await import(pathToFileURL(path.resolve(file)).href)).default
+    : await fs.readJson(file);
+
+  return validateScenario(scenario, file);
+}
+
+// Load scenario files, or every JSON/JS file of the scenario directory
+async function loadScenarios(files = null, directory = DEFAULT_SCENARIO_DIR) {
+  if (!files || files.length === 0) {
+    if (!(await fs.pathExists(directory))) {
+      throw new Error(`Scenario directory not found: ${directory}`);
+    }
+    files = (await fs.readdir(directory))
+      .filter((file) => /\.(json|[cm]?js)$/.test(file))
+      .sort()
+      .map((file) => path.join(directory, file));
+  }
+
+  const scenarios = [];
+  for (const file of files) {
+    if (!(await fs.pathExists(file))) {
+      throw new Error(`Scenario file not found: ${file}`);
+    }
+    scenarios.push(await loadScenarioFile(file));
+  }
+
+  const names = scenarios.map((scenario) => scenario.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Duplicate scenario name: ${duplicate}`);
+  }
+
+  return scenarios;
+}
+
+// Wait until an element matching the selector (containing the text, if
+// given) is in the DOM, checked once per animation frame
+async function waitForContent(page, { selector = "body", text = null }) {
+  await page.waitForFunction(
+    (selector, text) =>
+      [...document.querySelectorAll(selector)].some(
+        (element) => text === null || element.textContent.includes(text)
+      ),
+    { polling: "raf", timeout: STEP_TIMEOUT },
+    selector,
+    text
+  );
+}
+
+// Scroll until the target offset is reached; "bottom" keeps going while the
+// page grows, so infinite lists are scrolled to their real end
+async function scrollPage(page, to = "bottom") {
+  await page.evaluate(
+    async (to, timeout) => {
+      const frame = () =>
+        new Promise((resolve) => requestAnimationFrame(() => resolve()));
+      const scroller = document.scrollingElement || document.documentElement;
+      const start = performance.now();
+
+      if (to !== "bottom") {
+        window.scrollTo(0, to === "top" ? 0 : to);
+        await frame();
+        return;
+      }
+
+      let height = -1;
+      while (
+        scroller.scrollHeight !== height &&
+        performance.now() - start < timeout
+      ) {
+        height = scroller.scrollHeight;
+        window.scrollTo(0, height);
+        // Two frames let scroll handlers and observers append content
+        await frame();
+        await frame();
+      }
+    },
+    to,
+    STEP_TIMEOUT
+  );
+}
+
+async function runStep(page, step, origin) {
+  switch (step.action) {
+    case "visit":
+      await page.goto(`${origin}${step.path}`, {
+        waitUntil: step.waitUntil || "networkidle0",
+        timeout: STEP_TIMEOUT,
+      });
+      break;
+    case "click":
+      await page.waitForSelector(step.selector, { timeout: STEP_TIMEOUT });
+      await page.click(step.selector);
+      break;
+    case "waitForText":
+      await waitForContent(page, step);
+      break;
+    case "waitForSelector":
+      await page.waitForSelector(step.selector, { timeout: STEP_TIMEOUT });
+      break;
+    case "scroll":
+      await scrollPage(page, step.to);
+      break;
+    case "back": {
+      const from = await page.evaluate(() => location.href);
+      await page.evaluate(() => history.back());
+      // Client-side routers only change the URL; wait for the expected path
+      // or any URL change
+      await page.waitForFunction(
+        (from, path) =>
+          path ? location.pathname === path : location.href !== from,
+        { polling: "raf", timeout: STEP_TIMEOUT },
+        from,
+        step.path || null
+      );
+      break;
+    }
+    case "wait":
+      await new Promise((resolve) => setTimeout(resolve, step.ms));
+      break;
+  }
+
+  if (step.waitFor) {
+    await waitForContent(page, step.waitFor);
+  }
+}
+
+// Run a scenario against one app in a fresh tab. Step durations are wall
+// clock times from the start of the action until its completion condition
+// holds; a failed step ends the run and skips the remaining steps
+async function runScenario(appUrl, scenario, browser, profile = null) {
+  const page = await browser.newPage();
+  const origin = new URL(appUrl).origin;
+  const steps = [];
+
+  try {
+    await preparePage(page, profile);
+
+    for (const step of scenario.steps) {
+      const start = performance.now();
+      try {
+        await runStep(page, step, origin);
+      } catch (error) {
+        steps.push({
+          name: stepName(step),
+          action: step.action,
+          duration: null,
+          error: error.message,
+        });
+        return {
+          steps,
+          total: null,
+          error: `${stepName(step)}: ${error.message}`,
+        };
+      }
+
+      steps.push({
+        name: stepName(step),
+        action: step.action,
+        duration: performance.now() - start,
+        path: await page.evaluate(() => location.pathname),
+      });
+    }
+
+    return {
+      steps,
+      total: steps.reduce((sum, step) => sum + step.duration, 0),
+    };
+  } finally {
+    await page.close();
+  }
+}
+
+export {
+  loadScenarios,
+  validateScenario,
+  runScenario,
+  stepName,
+  STEP_ACTIONS,
+  DEFAULT_SCENARIO_DIR,
+};
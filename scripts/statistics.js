@@ -0,0 +1,437 @@
+/**
+ * Statistical helpers for benchmark samples
+ * Descriptive statistics, significance tests (Mann-Whitney U, Welch's
+ * t-test), bootstrap confidence intervals and outlier detection shared by
+ * the analyzer, the budget check and the HTML report
+ */
+
+// Seeded PRNG (mulberry32) so bootstrap intervals and the mock API's
+// payloads are reproducible
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Unbiased (n - 1) sample variance
+function sampleVariance(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return (
+    values.reduce((acc, v) => acc + Math.pow(v - m, 2), 0) / (values.length - 1)
+  );
+}
+
+// Sample standard deviation relative to the mean (0 when the mean is 0)
+function coefficientOfVariation(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return m !== 0 ? Math.sqrt(sampleVariance(values)) / Math.abs(m) : 0;
+}
+
+// Quantile of sorted values with linear interpolation between ranks
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function median(values) {
+  return quantile(
+    [...values].sort((a, b) => a - b),
+    0.5
+  );
+}
+
+const OUTLIER_METHODS = ["iqr", "mad"];
+
+// Flag outliers: "iqr" uses Tukey's fences (1.5 × IQR beyond the
+// quartiles), "mad" the modified z-score |0.6745 (x - median) / MAD| > 3.5
+// (Iglewicz & Hoaglin). Returns one boolean per value; fewer than four
+// values are never flagged
+function detectOutliers(values, method = "iqr") {
+  if (values.length < 4) return values.map(() => false);
+
+  if (method === "mad") {
+    const center = median(values);
+    const mad = median(values.map((v) => Math.abs(v - center)));
+    if (mad === 0) return values.map(() => false);
+    return values.map((v) => Math.abs((0.6745 * (v - center)) / mad) > 3.5);
+  }
+
+  if (method !== "iqr") {
+    throw new Error(
+      `Unknown outlier method "${method}" (expected one of ${OUTLIER_METHODS.join(
+        ", "
+      )})`
+    );
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const fence = 1.5 * (q3 - q1);
+  return values.map((v) => v < q1 - fence || v > q3 + fence);
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly =
+    t *
+    (0.254829592 +
+      t *
+        (-0.284496736 +
+          t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+// log Γ(x) via the Lanczos approximation
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const c of coefficients) {
+    series += c / ++y;
+  }
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+}
+
+// Continued fraction for the incomplete beta function (Numerical Recipes)
+function betaContinuedFraction(a, b, x) {
+  const maxIterations = 200;
+  const epsilon = 3e-14;
+  const tiny = 1e-300;
+
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= maxIterations; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+
+  return h;
+}
+
+// Regularized incomplete beta function I_x(a, b)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) -
+      logGamma(a) -
+      logGamma(b) +
+      a * Math.log(x) +
+      b * Math.log(1 - x)
+  );
+
+  if (x < (a + 1) / (a + b + 2)) {
+    return (front * betaContinuedFraction(a, b, x)) / a;
+  }
+  return 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+// Two-sided p-value of Student's t distribution
+function studentTTwoSidedP(t, df) {
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Two-sided critical value t such that P(|T| > t) = 1 - confidence, found by
+// bisection on the p-value
+function studentTQuantile(confidence, df) {
+  let low = 0;
+  let high = 1e3;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (studentTTwoSidedP(mid, df) > 1 - confidence) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// Welch's unequal-variance t-test
+function welchTTest(a, b) {
+  if (a.length < 2 || b.length < 2) return null;
+
+  const meanA = mean(a);
+  const meanB = mean(b);
+  const varA = sampleVariance(a) / a.length;
+  const varB = sampleVariance(b) / b.length;
+  const standardError = Math.sqrt(varA + varB);
+
+  // Both samples are constant: only identical means are indistinguishable
+  if (standardError === 0) {
+    return { t: null, df: null, p: meanA === meanB ? 1 : 0 };
+  }
+
+  const t = (meanB - meanA) / standardError;
+  const df =
+    Math.pow(varA + varB, 2) /
+    (Math.pow(varA, 2) / (a.length - 1) + Math.pow(varB, 2) / (b.length - 1));
+
+  return { t, df, p: studentTTwoSidedP(t, df) };
+}
+
+// Rank the pooled samples, averaging ranks across ties
+function rankPooled(a, b) {
+  const pooled = [
+    ...a.map((value) => ({ value, group: 0 })),
+    ...b.map((value) => ({ value, group: 1 })),
+  ].sort((x, y) => x.value - y.value);
+
+  const ties = [];
+  for (let i = 0; i < pooled.length; ) {
+    let j = i;
+    while (j + 1 < pooled.length && pooled[j + 1].value === pooled[i].value) {
+      j++;
+    }
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) {
+      pooled[k].rank = rank;
+    }
+    if (j > i) ties.push(j - i + 1);
+    i = j + 1;
+  }
+
+  return { pooled, ties };
+}
+
+// Exact null distribution of U for small samples without ties
+function exactMannWhitneyP(u, n1, n2) {
+  // count(i, j, k): orderings of i + j values whose U statistic equals k
+  const maxU = n1 * n2;
+  const memo = new Map();
+  const count = (i, j, k) => {
+    if (k < 0 || k > i * j) return 0;
+    if (i === 0 || j === 0) return k === 0 ? 1 : 0;
+    const key = `${i},${j},${k}`;
+    if (!memo.has(key)) {
+      memo.set(key, count(i - 1, j, k - j) + count(i, j - 1, k));
+    }
+    return memo.get(key);
+  };
+
+  let total = 0;
+  const frequencies = [];
+  for (let k = 0; k <= maxU; k++) {
+    frequencies[k] = count(n1, n2, k);
+    total += frequencies[k];
+  }
+
+  const lower = Math.min(u, maxU - u);
+  let tail = 0;
+  for (let k = 0; k <= lower; k++) {
+    tail += frequencies[k];
+  }
+
+  return Math.min(1, (2 * tail) / total);
+}
+
+// Smallest two-sided p the exact test can reach: the samples completely
+// separated, 2 / C(n1 + n2, n1). With 3 runs per app it is 0.1
+function minimumMannWhitneyP(n1, n2) {
+  let orderings = 1;
+  for (let i = 1; i <= n1; i++) {
+    orderings = (orderings * (n2 + i)) / i;
+  }
+  return Math.min(1, 2 / orderings);
+}
+
+// Fewest runs per app for which a difference can be significant at alpha
+function minimumRunsForSignificance(alpha = 0.05) {
+  let runs = 2;
+  while (minimumMannWhitneyP(runs, runs) >= alpha) {
+    runs++;
+  }
+  return runs;
+}
+
+// Mann-Whitney U test (two-sided)
+function mannWhitneyU(a, b) {
+  if (a.length === 0 || b.length === 0) return null;
+
+  const n1 = a.length;
+  const n2 = b.length;
+  const { pooled, ties } = rankPooled(a, b);
+  const rankSumA = pooled
+    .filter((entry) => entry.group === 0)
+    .reduce((acc, entry) => acc + entry.rank, 0);
+  const uA = rankSumA - (n1 * (n1 + 1)) / 2;
+  const u = Math.min(uA, n1 * n2 - uA);
+
+  if (ties.length === 0 && n1 + n2 <= 20) {
+    return { u, p: exactMannWhitneyP(u, n1, n2), method: "exact" };
+  }
+
+  // Normal approximation with tie and continuity corrections
+  const n = n1 + n2;
+  const tieCorrection =
+    ties.reduce((acc, t) => acc + (t * t * t - t), 0) / (n * (n - 1));
+  const sigma = Math.sqrt(((n1 * n2) / 12) * (n + 1 - tieCorrection));
+  if (sigma === 0) {
+    return { u, p: 1, method: "normal" };
+  }
+
+  const z = (Math.abs(uA - (n1 * n2) / 2) - 0.5) / sigma;
+  return {
+    u,
+    p: Math.min(1, 2 * (1 - normalCdf(Math.max(0, z)))),
+    method: "normal",
+  };
+}
+
+// Percentile bootstrap CI for the difference of means (b - a)
+function bootstrapMeanDifferenceCI(
+  a,
+  b,
+  { iterations = 2000, confidence = 0.95, seed = 1 } = {}
+) {
+  if (a.length === 0 || b.length === 0) return null;
+
+  const random = createRandom(seed);
+  const resampleMean = (values) => {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[Math.floor(random() * values.length)];
+    }
+    return sum / values.length;
+  };
+
+  const deltas = [];
+  for (let i = 0; i < iterations; i++) {
+    deltas.push(resampleMean(b) - resampleMean(a));
+  }
+  deltas.sort((x, y) => x - y);
+
+  const alpha = (1 - confidence) / 2;
+  const lowerIndex = Math.floor(alpha * (iterations - 1));
+  const upperIndex = Math.ceil((1 - alpha) * (iterations - 1));
+
+  return {
+    lower: deltas[lowerIndex],
+    upper: deltas[upperIndex],
+    confidence,
+  };
+}
+
+// Compare two samples: mean delta, bootstrap CI and both significance tests
+function compareSamples(a, b, { alpha = 0.05 } = {}) {
+  if (a.length === 0 || b.length === 0) return null;
+
+  const meanA = mean(a);
+  const meanB = mean(b);
+  const mannWhitney = mannWhitneyU(a, b);
+  const welch = welchTTest(a, b);
+
+  return {
+    n: [a.length, b.length],
+    meanA,
+    meanB,
+    delta: meanB - meanA,
+    deltaPercent: meanA !== 0 ? ((meanB - meanA) / meanA) * 100 : null,
+    ci: bootstrapMeanDifferenceCI(a, b),
+    mannWhitney,
+    welch,
+    significant: mannWhitney !== null && mannWhitney.p < alpha,
+    // False when the sample sizes cannot reach alpha, whatever the data
+    reachable: minimumMannWhitneyP(a.length, b.length) < alpha,
+  };
+}
+
+const PERCENTILES = [50, 75, 90, 95, 99];
+
+// Descriptive statistics of a sample: interpolated percentiles, sample
+// standard deviation, standard error and a Student's t confidence interval
+// for the mean. Missing values are ignored; null when nothing is left
+function calculateStats(values, { confidence = 0.95 } = {}) {
+  const valid = (values || []).filter(
+    (v) => v !== null && v !== undefined && !isNaN(v)
+  );
+  if (valid.length === 0) return null;
+
+  const sorted = [...valid].sort((a, b) => a - b);
+  const m = mean(valid);
+  const stdDev = Math.sqrt(sampleVariance(valid));
+  const standardError = stdDev / Math.sqrt(valid.length);
+  const margin =
+    valid.length > 1
+      ? studentTQuantile(confidence, valid.length - 1) * standardError
+      : 0;
+  const percentiles = Object.fromEntries(
+    PERCENTILES.map((p) => [`p${p}`, quantile(sorted, p / 100)])
+  );
+
+  return {
+    count: valid.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: m,
+    median: percentiles.p50,
+    ...percentiles,
+    stdDev,
+    standardError,
+    ci: { lower: m - margin, upper: m + margin, confidence },
+    coefficientOfVariation: coefficientOfVariation(valid),
+  };
+}
+
+export {
+  createRandom,
+  calculateStats,
+  mean,
+  sampleVariance,
+  coefficientOfVariation,
+  quantile,
+  median,
+  studentTQuantile,
+  detectOutliers,
+  OUTLIER_METHODS,
+  normalCdf,
+  welchTTest,
+  mannWhitneyU,
+  minimumMannWhitneyP,
+  minimumRunsForSignificance,
+  bootstrapMeanDifferenceCI,
+  compareSamples,
+};
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  calculateStats,
+  studentTQuantile,
+  welchTTest,
+  mannWhitneyU,
+  minimumMannWhitneyP,
+  minimumRunsForSignificance,
+  bootstrapMeanDifferenceCI,
+  normalCdf,
+} from "./statistics.js";
+
+const assertClose = (actual, expected, tolerance = 1e-3) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+
+test("studentTQuantile matches published two-sided t tables", () => {
+  // df -> t for a two-sided 95% interval
+  const table = { 1: 12.706, 2: 4.303, 4: 2.776, 10: 2.228, 30: 2.042 };
+  for (const [df, expected] of Object.entries(table)) {
+    assertClose(studentTQuantile(0.95, Number(df)), expected);
+  }
+  assertClose(studentTQuantile(0.99, 5), 4.032);
+});
+
+test("normalCdf matches the standard normal table", () => {
+  assertClose(normalCdf(0), 0.5, 1e-6);
+  assertClose(normalCdf(1.959964), 0.975, 1e-6);
+});
+
+test("welchTTest reduces to Student's t for equal variances and sizes", () => {
+  const { t, df, p } = welchTTest([1, 2, 3], [4, 5, 6]);
+  assertClose(Math.abs(t), 3.674);
+  assertClose(df, 4, 1e-9);
+  assertClose(p, 0.02131, 1e-5);
+});
+
+test("mannWhitneyU uses exact p-values for small samples without ties", () => {
+  // Two-sided: 2 of the C(6,3) = 20 orderings are at least this extreme
+  assert.deepEqual(mannWhitneyU([1, 2, 3], [4, 5, 6]), {
+    u: 0,
+    p: 0.1,
+    method: "exact",
+  });
+  assert.equal(mannWhitneyU([1, 2, 4], [3, 5, 6]).p, 0.2);
+  // Two-sided: 4 of the C(10,5) = 252 orderings have U <= 1 either way
+  assertClose(
+    mannWhitneyU([1, 2, 3, 4, 6], [5, 7, 8, 9, 10]).p,
+    4 / 252,
+    1e-12
+  );
+});
+
+test("minimum achievable U-test p-values", () => {
+  assert.equal(minimumMannWhitneyP(3, 3), 0.1);
+  assertClose(minimumMannWhitneyP(4, 4), 2 / 70, 1e-12);
+  assert.equal(minimumRunsForSignificance(0.05), 4);
+  assert.equal(minimumRunsForSignificance(0.01), 5);
+});
+
+test("bootstrapMeanDifferenceCI is seeded and covers the difference", () => {
+  const a = [1, 2, 3, 4, 5];
+  const b = [11, 12, 13, 14, 15];
+  const ci = bootstrapMeanDifferenceCI(a, b);
+  assert.deepEqual(bootstrapMeanDifferenceCI(a, b), ci);
+  assert.ok(ci.lower < 10 && ci.upper > 10);
+  assert.deepEqual(bootstrapMeanDifferenceCI([2, 2, 2], [5, 5, 5]), {
+    lower: 3,
+    upper: 3,
+    confidence: 0.95,
+  });
+});
+
+test("calculateStats uses the sample standard deviation", () => {
+  const stats = calculateStats([2, 4, 4, 4, 5, 5, 7, 9]);
+  assert.equal(stats.count, 8);
+  assert.equal(stats.mean, 5);
+  assert.equal(stats.median, 4.5);
+  assertClose(stats.stdDev, Math.sqrt(32 / 7), 1e-12);
+  assert.equal(calculateStats([]), null);
+});
@@ -0,0 +1,231 @@
+/**
+ * DevTools trace analysis
+ * Breaks the renderer main thread of a performance trace down into long
+ * tasks, work categories and script time per bundle group (framework, app,
+ * third-party), the way the DevTools Performance panel attributes self time
+ */
+
+// Tasks longer than this block input (the Long Tasks API threshold)
+const LONG_TASK_THRESHOLD = 50;
+
+// User timing mark set by the React DevTools hook stub at the first commit
+const FIRST_COMMIT_MARK = "react:first-commit";
+
+// Main-thread trace events by work category; everything else is "other"
+const EVENT_CATEGORIES = {
+  scriptEvaluation: [
+    "EvaluateScript",
+    "v8.compile",
+    "v8.compileModule",
+    "v8.evaluateModule",
+    "v8.produceCache",
+    "v8.produceModuleCache",
+  ],
+  scriptExecution: [
+    "FunctionCall",
+    "TimerFire",
+    "EventDispatch",
+    "FireAnimationFrame",
+    "FireIdleCallback",
+    "RunMicrotasks",
+    "V8.Execute",
+    "v8.run",
+  ],
+  styleLayout: [
+    "UpdateLayoutTree",
+    "RecalculateStyles",
+    "Layout",
+    "ParseAuthorStyleSheet",
+  ],
+  paint: ["PrePaint", "Paint", "Layerize", "UpdateLayer", "Commit"],
+  parseHTML: ["ParseHTML"],
+  garbageCollection: ["MinorGC", "MajorGC", "BlinkGC.AtomicPhase"],
+};
+
+const CATEGORY_BY_EVENT = new Map(
+  Object.entries(EVENT_CATEGORIES).flatMap(([category, names]) =>
+    names.map((name) => [name, category])
+  )
+);
+
+const SCRIPT_CATEGORIES = ["scriptEvaluation", "scriptExecution"];
+
+// Bundles of the routers and React themselves, matched on the script URL;
+// everything else from the page's origin counts as app code. Apps that ship
+// one bundle (TanStack Router's default Vite build) report it all as app
+const FRAMEWORK_BUNDLES = [
+  // Next.js runtime, React and shared vendor chunks (routes live in app/)
+  /\/_next\/static\/chunks\/[^/]+\.js/,
+  // React Router's entry, manifest and prebundled router/React chunks
+  /\/assets\/(entry\.client|manifest|chunk)-[^/]+\.js/,
+];
+
+function bundleGroup(url, origin) {
+  if (!url) return "unattributed";
+  if (origin && !url.startsWith(origin)) return "thirdParty";
+  return FRAMEWORK_BUNDLES.some((pattern) => pattern.test(url))
+    ? "framework"
+    : "app";
+}
+
+// The renderer main thread that did the most work
+function findMainThread(events) {
+  const rendererThreads = events
+    .filter(
+      (event) =>
+        event.ph === "M" &&
+        event.name === "thread_name" &&
+        event.args?.name === "CrRendererMain"
+    )
+    .map((event) => `${event.pid}:${event.tid}`);
+
+  const busy = new Map();
+  for (const event of events) {
+    const thread = `${event.pid}:${event.tid}`;
+    if (event.name === "RunTask" && rendererThreads.includes(thread)) {
+      busy.set(thread, (busy.get(thread) || 0) + (event.dur || 0));
+    }
+  }
+
+  return [...busy.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+// Analyze a trace ({ traceEvents } or a bare event array). Times are in ms
+// relative to the navigation start (or the first main-thread event)
+function analyzeTrace(trace, { origin = null } = {}) {
+  const events = Array.isArray(trace) ? trace : trace.traceEvents || [];
+  const mainThread = findMainThread(events);
+  if (!mainThread) return null;
+
+  const onMainThread = (event) => `${event.pid}:${event.tid}` === mainThread;
+  const slices = events
+    .filter((event) => event.ph === "X" && onMainThread(event))
+    .sort((a, b) => a.ts - b.ts || b.dur - a.dur);
+  const marks = events.filter(
+    (event) =>
+      onMainThread(event) &&
+      (event.ph === "R" || event.ph === "I" || event.ph === "i")
+  );
+
+  // The initial about:blank document has a navigationStart of its own
+  const navigationStarts = marks.filter(
+    (mark) => mark.name === "navigationStart"
+  );
+  const navigationStart =
+    (
+      navigationStarts.find(
+        (mark) =>
+          mark.args?.data?.documentLoaderURL &&
+          mark.args.data.documentLoaderURL !== "about:blank"
+      ) || navigationStarts[0]
+    )?.ts ??
+    slices[0]?.ts ??
+    0;
+  const toMs = (ts) => (ts - navigationStart) / 1000;
+  const firstCommit = marks.find((mark) => mark.name === FIRST_COMMIT_MARK);
+
+  const categories = Object.fromEntries(
+    [...Object.keys(EVENT_CATEGORIES), "other"].map((category) => [category, 0])
+  );
+  const bundles = { framework: 0, app: 0, thirdParty: 0, unattributed: 0 };
+  const scriptUrls = {};
+  let scriptingUntilFirstCommit = 0;
+
+  // Self time of every slice: its duration minus its children's, charged
+  // to its category and, for script work, to the closest script URL
+  const stack = [];
+  const charge = (slice) => {
+    const self = (slice.dur - slice.childTime) / 1000;
+    const category = CATEGORY_BY_EVENT.get(slice.name) || "other";
+    categories[category] += self;
+
+    if (SCRIPT_CATEGORIES.includes(category)) {
+      const url = slice.url;
+      bundles[bundleGroup(url, origin)] += self;
+      if (url) {
+        scriptUrls[url] = (scriptUrls[url] || 0) + self;
+        slice.task.scripts[url] = (slice.task.scripts[url] || 0) + self;
+      }
+      if (firstCommit && slice.ts < firstCommit.ts) {
+        scriptingUntilFirstCommit += self;
+      }
+    }
+  };
+
+  const longTasks = [];
+
+  for (const event of slices) {
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+      if (event.ts < top.ts + top.dur) break;
+      charge(stack.pop());
+    }
+
+    const parent = stack[stack.length - 1];
+    if (!parent && event.name !== "RunTask") continue;
+
+    const slice = {
+      name: event.name,
+      ts: event.ts,
+      dur: event.dur || 0,
+      childTime: 0,
+      url: event.args?.data?.url || parent?.url || null,
+      task: parent ? parent.task : null,
+    };
+    if (parent) {
+      parent.childTime += slice.dur;
+    } else {
+      slice.task = {
+        start: toMs(event.ts),
+        duration: slice.dur / 1000,
+        scripts: {},
+      };
+      if (slice.task.duration > LONG_TASK_THRESHOLD) {
+        longTasks.push(slice.task);
+      }
+    }
+    stack.push(slice);
+  }
+  while (stack.length > 0) {
+    charge(stack.pop());
+  }
+
+  return {
+    longTasks: {
+      count: longTasks.length,
+      total: longTasks.reduce((sum, task) => sum + task.duration, 0),
+      blockingTime: longTasks.reduce(
+        (sum, task) => sum + task.duration - LONG_TASK_THRESHOLD,
+        0
+      ),
+      longest: Math.max(0, ...longTasks.map((task) => task.duration)),
+      // Each long task with the script that had the most self time in it
+      tasks: longTasks.map(({ start, duration, scripts }) => ({
+        start,
+        duration,
+        url:
+          Object.entries(scripts).sort((a, b) => b[1] - a[1])[0]?.[0] || null,
+      })),
+    },
+    categories,
+    bundles,
+    scripts: Object.entries(scriptUrls)
+      .sort((a, b) => b[1] - a[1])
+      .map(([url, time]) => ({ url, group: bundleGroup(url, origin), time })),
+    hydration: firstCommit
+      ? {
+          firstCommit: toMs(firstCommit.ts),
+          scripting: scriptingUntilFirstCommit,
+        }
+      : null,
+  };
+}
+
+export {
+  analyzeTrace,
+  bundleGroup,
+  EVENT_CATEGORIES,
+  FRAMEWORK_BUNDLES,
+  FIRST_COMMIT_MARK,
+  LONG_TASK_THRESHOLD,
+};
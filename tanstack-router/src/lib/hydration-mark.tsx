@@ -0,0 +1,15 @@
+import { useLayoutEffect } from "react";
+import { HYDRATION_END } from "./hydration";
+
+// Layout effects run in the commit after the components before it, so render
+// this as the last child of the root
+export function HydrationMark() {
+  useLayoutEffect(() => {
+    // StrictMode runs effects twice in development
+    if (performance.getEntriesByName(HYDRATION_END, "mark").length === 0) {
+      performance.mark(HYDRATION_END);
+    }
+  }, []);
+
+  return null;
+}
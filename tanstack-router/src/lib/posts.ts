@@ -0,0 +1,210 @@
+import { API_BASE_URL } from "./api";
+
+// Data of the posts routes: the blocking /posts route awaits every
+// collection, /posts-deferred streams the slower part (see loadDeferredData).
+export interface Post {
+  id: number;
+  title: string;
+  body: string;
+  userId: number;
+}
+
+export interface User {
+  id: number;
+  name: string;
+  email: string;
+  website: string;
+}
+
+export interface Comment {
+  id: number;
+  postId: number;
+  name: string;
+  email: string;
+  body: string;
+}
+
+export interface Album {
+  id: number;
+  userId: number;
+  title: string;
+}
+
+export interface Photo {
+  id: number;
+  albumId: number;
+  title: string;
+  url: string;
+  thumbnailUrl: string;
+}
+
+export interface Todo {
+  id: number;
+  userId: number;
+  title: string;
+  completed: boolean;
+}
+
+export interface ProcessedDataItem {
+  postId: number;
+  postTitle: string;
+  postWordCount: number;
+  author: {
+    name: string;
+    email: string;
+    domain: string;
+    website: string;
+  } | null;
+  commentsAnalysis: {
+    total: number;
+    averageLength: number;
+    sentimentDistribution: Record<string, number>;
+    totalEngagement: number;
+  };
+  metadata: {
+    processed: boolean;
+    timestamp: number;
+    complexity: number;
+  };
+}
+
+export interface FetchStats {
+  totalRequests: number;
+  totalDataSize: number;
+  processingTime: number;
+  totalTime: number;
+}
+
+// 重いデータ処理を行う関数
+export function processHeavyData(
+  posts: Post[],
+  comments: Comment[],
+  users: User[]
+): ProcessedDataItem[] {
+  const processed: ProcessedDataItem[] = [];
+
+  // 複雑なデータ変換とフィルタリング
+  for (let i = 0; i < posts.length; i++) {
+    const post = posts[i];
+    const postComments = comments.filter((c) => c.postId === post.id);
+    const user = users.find((u) => u.id === post.userId);
+
+    // 重い計算処理をシミュレート
+    const wordCount = post.body.split(" ").length;
+    const commentStats = postComments.map((comment) => ({
+      id: comment.id,
+      wordCount: comment.body.split(" ").length,
+      sentiment:
+        comment.body.length % 3 === 0
+          ? "positive"
+          : comment.body.length % 3 === 1
+          ? "neutral"
+          : "negative",
+      engagement: Math.random() * 100,
+    }));
+
+    // 複雑なオブジェクト作成
+    processed.push({
+      postId: post.id,
+      postTitle: post.title,
+      postWordCount: wordCount,
+      author: user
+        ? {
+            name: user.name,
+            email: user.email,
+            domain: user.email.split("@")[1],
+            website: user.website,
+          }
+        : null,
+      commentsAnalysis: {
+        total: postComments.length,
+        averageLength:
+          postComments.reduce((acc, c) => acc + c.body.length, 0) /
+          (postComments.length || 1),
+        sentimentDistribution: commentStats.reduce((acc, stat) => {
+          acc[stat.sentiment] = (acc[stat.sentiment] || 0) + 1;
+          return acc;
+        }, {} as Record<string, number>),
+        totalEngagement: commentStats.reduce(
+          (acc, stat) => acc + stat.engagement,
+          0
+        ),
+      },
+      metadata: {
+        processed: true,
+        timestamp: Date.now(),
+        complexity: wordCount * postComments.length,
+      },
+    });
+  }
+
+  return processed;
+}
+
+async function fetchCollection<T>(name: string): Promise<T> {
+  const response = await fetch(`${API_BASE_URL}/${name}`);
+  return (await response.json()) as T;
+}
+
+export interface CommentsData {
+  comments: Comment[];
+  processedData: ProcessedDataItem[];
+  processingTime: number;
+}
+
+export interface CollectionsData {
+  albums: Album[];
+  photos: Photo[];
+  todos: Todo[];
+  fetchStats: FetchStats;
+}
+
+// Start loading what /posts-deferred streams after its first render: the
+// comments with their analysis, then the other collections. The requests
+// stay sequential and in the order of /posts, so both routes put the same
+// load on the API; the promises are handed to the router unawaited
+export function loadDeferredData(
+  posts: Post[],
+  users: User[],
+  startTime: number
+) {
+  const comments = (async (): Promise<CommentsData> => {
+    const comments = await fetchCollection<Comment[]>("comments");
+    const processStart = performance.now();
+    const processedData = processHeavyData(posts, comments, users);
+    return {
+      comments,
+      processedData,
+      processingTime: performance.now() - processStart,
+    };
+  })();
+
+  const collections = (async (): Promise<CollectionsData> => {
+    const { comments: allComments, processingTime } = await comments;
+    const albums = await fetchCollection<Album[]>("albums");
+    const photos = await fetchCollection<Photo[]>("photos");
+    const todos = await fetchCollection<Todo[]>("todos");
+    const endTime = performance.now();
+
+    return {
+      albums,
+      photos,
+      todos,
+      fetchStats: {
+        totalRequests: 6,
+        totalDataSize: JSON.stringify({
+          posts,
+          users,
+          comments: allComments,
+          albums,
+          photos,
+          todos,
+        }).length,
+        processingTime,
+        totalTime: endTime - startTime,
+      },
+    };
+  })();
+
+  return { comments, collections };
+}
@@ -7,6 +7,8 @@ import { routeTree } from "./routeTree.gen";
 
 import "./styles.css";
 import reportWebVitals from "./reportWebVitals.ts";
+import { markHydrationStart } from "./lib/hydration";
+import { HydrationMark } from "./lib/hydration-mark";
 
 // Create a new router instance
 const router = createRouter({
@@ -28,10 +30,13 @@ declare module "@tanstack/react-router" {
 // Render the app
 const rootElement = document.getElementById("root");
 if (rootElement && !rootElement.innerHTML) {
+  // Client-rendered: the benchmark's hydration marks cover the first render
+  markHydrationStart("render");
   const root = ReactDOM.createRoot(rootElement);
   root.render(
     <StrictMode>
       <RouterProvider router={router} />
+      <HydrationMark />
     </StrictMode>
   );
 }
@@ -80,6 +80,34 @@ export const Route = createRootRoute({
             >
               📝 Posts
             </Link>
+            <Link
+              to="/posts-deferred"
+              activeProps={{
+                style: {
+                  color: "#ecf0f1",
+                  textDecoration: "none",
+                  padding: "8px 16px",
+                  borderRadius: "4px",
+                  border: "1px solid #34495e",
+                  backgroundColor: "#3498db",
+                  transition: "all 0.3s ease",
+                },
+              }}
+              inactiveProps={{
+                style: {
+                  color: "#ecf0f1",
+                  textDecoration: "none",
+                  padding: "8px 16px",
+                  borderRadius: "4px",
+                  border: "1px solid #34495e",
+                  backgroundColor: "#34495e",
+                  transition: "all 0.3s ease",
+                },
+              }}
+              className="nav-link"
+            >
+              ⏳ Posts (Deferred)
+            </Link>
           </div>
         </div>
       </nav>
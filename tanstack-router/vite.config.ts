@@ -1,9 +1,20 @@
-import { defineConfig } from "vite";
+import { defineConfig, loadEnv } from "vite";
 import react from "@vitejs/plugin-react";
 import tailwindcss from "@tailwindcss/vite";
 import { cloudflare } from "@cloudflare/vite-plugin";
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react(), cloudflare(), tailwindcss()],
+export default defineConfig(({ mode }) => {
+  // Inline API_BASE_URL, and only it, so the posts loader can target the
+  // local mock API without exposing other API_* variables to the bundle
+  const { API_BASE_URL } = loadEnv(mode, ".", "API_BASE_URL");
+
+  return {
+    plugins: [react(), cloudflare(), tailwindcss()],
+    define: API_BASE_URL
+      ? { "import.meta.env.API_BASE_URL": JSON.stringify(API_BASE_URL) }
+      : {},
+    // Emit .vite/manifest.json so `pnpm run perf:bundle` can map chunks to routes
+    build: { manifest: true },
+  };
 });